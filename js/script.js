@@ -1,26 +1,71 @@
 // ==================== 1. 초기 설정 & 유틸리티 ====================
 
-// 라이브러리 로드 확인 함수
-function waitForLibraries() {
-    return new Promise((resolve) => {
-        const checkLibraries = () => {
-            // GSAP과 AOS가 모두 로드되었는지 확인
-            if (typeof gsap !== 'undefined' && typeof AOS !== 'undefined' && typeof ScrollTrigger !== 'undefined') {
-                resolve();
-            } else {
-                // 100ms 후 다시 확인
-                setTimeout(checkLibraries, 100);
-            }
+// 외부 라이브러리 (CDN) - 전역 이름과 CDN이 막혔을 때 불러올 자체 호스팅 사본 (CDN과 같은 버전: gsap 3.12.2, aos 2.3.1)
+const LIBRARIES = [
+    { name: 'gsap', fallback: './js/vendor/gsap.min.js' },
+    { name: 'ScrollTrigger', fallback: './js/vendor/ScrollTrigger.min.js' },
+    { name: 'AOS', fallback: './js/vendor/aos.js', style: './styles/vendor/aos.css' },
+];
+
+const getMissingLibraries = () => LIBRARIES.filter((lib) => typeof window[lib.name] === 'undefined');
+
+// 스크립트 동적 로드 (실패 또는 시간 초과 시 reject)
+function loadScript(src, timeout) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        const timer = setTimeout(() => reject(new Error(`스크립트 로드 시간 초과: ${src}`)), timeout);
+        script.src = src;
+        script.onload = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        script.onerror = () => {
+            clearTimeout(timer);
+            reject(new Error(`스크립트 로드 실패: ${src}`));
         };
-        checkLibraries();
+        document.head.appendChild(script);
     });
 }
 
+// 스타일시트 동적 추가 (CDN 스타일이 막혔을 때 대비 - 로드를 기다리지 않음)
+function loadStylesheet(href) {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    document.head.appendChild(link);
+}
+
+// CDN 스크립트는 script.js보다 먼저 실행되므로 한 번만 확인 (대기 없음)
+// 빠진 라이브러리만 자체 호스팅 사본으로 순서대로 로드 (ScrollTrigger는 gsap 다음)
+// 결과: 'cdn' | 'fallback' (실패 시 reject → 애니메이션 없는 모드)
+async function loadLibraries() {
+    const missing = getMissingLibraries();
+    if (missing.length === 0) return 'cdn';
+
+    console.warn('⚠️ CDN 라이브러리 로드 실패 - 자체 호스팅 사본 사용:', missing.map((lib) => lib.name).join(', '));
+    for (const lib of missing) {
+        if (lib.style) loadStylesheet(lib.style);
+        await loadScript(lib.fallback, LIBRARY_CONFIG.fallbackTimeout);
+    }
+
+    if (getMissingLibraries().length > 0) {
+        throw new Error(`라이브러리 로드 실패: ${getMissingLibraries().map((lib) => lib.name).join(', ')}`);
+    }
+    return 'fallback';
+}
+
 // GSAP 플러그인 등록 (안전하게)
 async function initializeGSAP() {
-    await waitForLibraries();
+    const source = await loadLibraries();
     gsap.registerPlugin(ScrollTrigger);
-    console.log('GSAP initialized successfully');
+    console.log(`GSAP initialized successfully (${source})`);
+    return source;
+}
+
+// 애니메이션 없는 모드 - 라이브러리를 쓸 수 없을 때 모든 콘텐츠를 처음부터 표시 (html.no-animation)
+function enableNoAnimationMode() {
+    document.documentElement.classList.add('no-animation');
+    console.warn('🚫 애니메이션 없는 모드로 전환');
 }
 
 // CSS 변수 설정
@@ -29,12 +74,40 @@ document.documentElement.style.setProperty('--point-bg-color', '#000612');
 // 반응형 체크 유틸리티
 const isMobile = () => window.innerWidth <= 768;
 
-// 애니메이션 공통 설정
+// 동작 줄이기(prefers-reduced-motion) 설정 - OS 설정을 바꾸면 새로고침 없이 바로 반영
+// html.reduced-motion 클래스로 CSS(AOS 포함)에서도 같은 상태를 사용
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+const prefersReducedMotion = () => reducedMotionQuery.matches;
+
+function onReducedMotionChange(callback) {
+    const listener = (event) => callback(event.matches);
+    // 구형 사파리(14 미만)는 addListener만 지원
+    if (reducedMotionQuery.addEventListener) reducedMotionQuery.addEventListener('change', listener);
+    else reducedMotionQuery.addListener(listener);
+}
+
+document.documentElement.classList.toggle('reduced-motion', prefersReducedMotion());
+onReducedMotionChange((isReduced) => {
+    document.documentElement.classList.toggle('reduced-motion', isReduced);
+    console.log(isReduced ? '🐢 동작 줄이기 모드 켜짐' : '🐇 동작 줄이기 모드 꺼짐');
+});
+
+// 애니메이션 공통 설정 (data-anim 기본값 포함)
 const ANIMATION_CONFIG = {
     triggerStart: 'top bottom-=200px',
     toggleActions: 'restart none restart none',
+    duration: 0.9, // 재생 시간(초)
+    ease: 'power2.out',
+    distance: 60, // 이동 거리(px)
+    stagger: 0.15, // data-anim-stagger 값을 비워 둔 경우의 간격(초)
+    zoomScale: 0.85, // zoom 효과 시작 크기
 };
 
+// 외부 라이브러리 로드 설정
+const LIBRARY_CONFIG = getPageConfig('libraries', {
+    fallbackTimeout: 5000, // 자체 호스팅 사본 1개당 로드 제한 시간(ms)
+});
+
 // AOS 설정값
 const AOS_CONFIG = {
     duration: 600,
@@ -45,6 +118,59 @@ const AOS_CONFIG = {
     anchorPlacement: 'top-bottom',
 };
 
+// 페이지 설정 읽기 (HTML의 window.FM_CONFIG 값이 기본값보다 우선)
+function getPageConfig(key, defaults) {
+    const pageConfig = (window.FM_CONFIG && window.FM_CONFIG[key]) || {};
+    return { ...defaults, ...pageConfig };
+}
+
+// 히어로 배경 영상 설정
+const HERO_VIDEO_CONFIG = getPageConfig('heroVideo', {
+    slowConnectionTypes: ['slow-2g', '2g'], // 영상 대신 포스터를 보여줄 회선 (navigator.connection.effectiveType)
+});
+
+// 이벤트 분석 설정
+const ANALYTICS_CONFIG = getPageConfig('analytics', {
+    transports: ['console'], // 전송 채널: console | beacon | dataLayer (운영 페이지는 FM_CONFIG에서 beacon만 사용, console은 개발 확인용)
+    endpoint: '/api/collect', // beacon 채널 수집 주소
+    dataLayerName: 'dataLayer', // dataLayer 채널 배열 이름
+    scrollMilestones: [25, 50, 75, 100], // 스크롤 깊이 기록 지점(%)
+    sectionViewThreshold: 0.5, // 섹션 노출로 볼 최소 비율
+});
+
+// 오류 보고 설정
+const ERROR_REPORT_CONFIG = getPageConfig('errorReport', {
+    endpoint: '', // 오류 수집 주소 (비워 두면 콘솔에만 출력)
+    batchSize: 10, // 이 개수가 쌓이면 바로 전송
+    flushDelay: 5000, // 첫 오류 후 전송까지 기다리는 시간(ms)
+    maxReports: 20, // 페이지당 보고하는 오류 종류 최대 개수
+});
+
+// 상담신청 API 설정
+const CONSULT_CONFIG = getPageConfig('consult', {
+    endpoint: '/api/consult', // 상담신청 접수 API 주소
+    timeout: 8000, // 요청 1회당 제한 시간(ms)
+    retries: 2, // 네트워크 오류 시 재시도 횟수
+    retryDelay: 800, // 재시도 간격(ms) - 시도마다 늘어남
+    successDelay: 1500, // 완료 메시지 노출 후 모달이 닫히기까지의 시간(ms)
+    minFillTime: 3000, // 처음 입력한 뒤 이 시간(ms) 안에 제출하면 자동 입력(봇)으로 간주 (작성 중이던 내용을 복원한 경우 제외)
+    duplicateWindow: 24 * 60 * 60 * 1000, // 같은 번호로 다시 신청할 수 없는 기간(ms)
+    termsUrl: './data/consent_terms.json', // 약관 전문·버전 (불러오지 못하면 신청 불가)
+});
+
+// 희망 연락 시간(콜백) 설정
+const CALLBACK_CONFIG = getPageConfig('callback', {
+    holidaysUrl: './data/holidays.json', // 공휴일 데이터
+    businessDays: [1, 2, 3, 4, 5], // 상담 가능 요일 (0: 일요일 ~ 6: 토요일)
+    timeSlots: [
+        { start: '09:00', end: '12:00' },
+        { start: '13:00', end: '15:00' },
+        { start: '15:00', end: '18:00' },
+    ],
+    daysAhead: 5, // 선택지로 보여줄 영업일 수
+    leadTime: 60, // 오늘 시간대는 지금부터 이 시간(분) 이후 시작하는 것만 표시
+});
+
 // ==================== 2. 성능 최적화 유틸리티 ====================
 // throttle: 일정 시간 간격으로만 함수 실행
 function throttle(func, delay) {
@@ -67,448 +193,459 @@ function debounce(func, delay) {
     };
 }
 
-// ==================== 3. 모바일 비디오 자동재생 최적화 ====================
-
-// 사용자 에이전트 감지
-const isMobileDevice = () => {
-    return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-};
+// 줄 목록을 <br />로 연결 (빈 줄은 문단 간격)
+const joinLines = (lines = []) => lines.join('<br />');
 
-const isIOS = () => {
-    return /iPad|iPhone|iPod/.test(navigator.userAgent);
-};
+// JSON 데이터 불러오기 (같은 주소는 한 번만 요청)
+const jsonCache = new Map();
 
-// 비디오 속성 강제 설정 함수 (개선된 버전)
-function setVideoAttributes(video) {
-    if (!video) return;
+function fetchJSON(url) {
+    if (!jsonCache.has(url)) {
+        const request = fetch(url).then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        });
+        // 실패한 요청은 캐시에서 제거해 다음 호출 때 다시 시도
+        request.catch(() => jsonCache.delete(url));
+        jsonCache.set(url, request);
+    }
+    return jsonCache.get(url);
+}
 
-    // 기본 속성들
-    video.muted = true;
-    video.autoplay = true;
-    video.loop = true;
-    video.controls = false;
-    video.playsInline = true;
+// 저장소 읽기/쓰기 (사파리 사생활 보호 모드 등 저장소 사용 불가 환경 대비)
+function readStorageJSON(storage, key) {
+    try {
+        const value = storage.getItem(key);
+        return value ? JSON.parse(value) : null;
+    } catch (error) {
+        return null;
+    }
+}
 
-    // 속성 직접 설정
-    video.setAttribute('muted', '');
-    video.setAttribute('autoplay', '');
-    video.setAttribute('loop', '');
-    video.setAttribute('playsinline', '');
-    video.setAttribute('webkit-playsinline', '');
-    video.setAttribute('x-webkit-airplay', 'deny');
-    video.removeAttribute('controls');
-
-    // iOS 특화 설정
-    if (isIOS()) {
-        video.setAttribute('preload', 'metadata'); // iOS에서는 metadata만 로드
-        video.defaultMuted = true;
-        video.volume = 0;
-    } else {
-        video.setAttribute('preload', 'auto');
+function writeStorageJSON(storage, key, value) {
+    try {
+        storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn('저장소 쓰기 실패:', key);
     }
 }
 
-// 개선된 비디오 컨트롤 숨김 함수
-function hideVideoControls() {
-    const heroVideo = document.querySelector('.main .hiro video');
-    if (!heroVideo) return;
+// 포커스 가능한 요소 선택자
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+// 컨테이너 안에서 화면에 보이는 포커스 가능한 요소 목록
+function getFocusableElements(container) {
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(
+        (el) => el.tabIndex >= 0 && el.getClientRects().length > 0
+    );
+}
 
-    // 속성 재설정
-    setVideoAttributes(heroVideo);
+// Tab / Shift+Tab 포커스를 컨테이너 안에서 순환
+function trapFocus(container, event) {
+    if (event.key !== 'Tab') return;
 
-    // 스타일 강제 적용
-    heroVideo.style.cssText += `
-        -webkit-appearance: none !important;
-        -moz-appearance: none !important;
-        appearance: none !important;
-        object-fit: cover !important;
-        pointer-events: none !important;
-    `;
+    const focusable = getFocusableElements(container);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
 
-    console.log('비디오 컨트롤 숨김 적용됨');
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!container.contains(active)) {
+        event.preventDefault();
+        first.focus();
+    } else if (event.shiftKey && active === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+    }
 }
 
-// 개선된 자동재생 시도 함수
-function attemptVideoAutoplay() {
-    const heroVideo = document.querySelector('.main .hiro video');
-    if (!heroVideo) return;
-
-    console.log('비디오 자동재생 시도 시작');
-
-    const playVideo = async () => {
-        try {
-            // 먼저 muted 상태 확인 및 설정
-            heroVideo.muted = true;
-            heroVideo.volume = 0;
-
-            // iOS에서는 추가 설정
-            if (isIOS()) {
-                heroVideo.defaultMuted = true;
-                await new Promise((resolve) => setTimeout(resolve, 100)); // 짧은 대기
-            }
+// 지정한 요소를 제외한 body 하위 요소를 inert 처리 (모달/오버레이 열림 시 배경 비활성화)
+function setBackgroundInert(exceptEl, isInert) {
+    [...document.body.children].forEach((el) => {
+        if (el === exceptEl || el.tagName === 'SCRIPT') return;
+
+        if (isInert && !el.hasAttribute('inert')) {
+            el.setAttribute('inert', '');
+            el.setAttribute('aria-hidden', 'true');
+            el.dataset.bgInert = '';
+        } else if (!isInert && el.hasAttribute('data-bg-inert')) {
+            el.removeAttribute('inert');
+            el.removeAttribute('aria-hidden');
+            delete el.dataset.bgInert;
+        }
+    });
+}
 
-            const playPromise = heroVideo.play();
+// 슬라이더 입력 필드 마크업 (값 표시는 #{id}Value output에 - 수익 시뮬레이터, 예상 수익 계산기)
+function createRangeField(id, { label, min, max, step }, value) {
+    return `
+        <div class="range_field">
+            <label for="${id}">${label}</label>
+            <input type="range" id="${id}" min="${min}" max="${max}" step="${step}" value="${value}" />
+            <output for="${id}" id="${id}Value"></output>
+        </div>
+    `;
+}
 
-            if (playPromise !== undefined) {
-                await playPromise;
-                console.log('✅ 비디오 자동재생 성공');
-                hideVideoControls();
-                return true;
-            }
-        } catch (error) {
-            console.log('❌ 자동재생 실패:', error.message);
+// ==================== 3. 히어로 배경 영상 ====================
+// 메인 배너 영상 재생을 한 곳에서 관리하는 컨트롤러
+// 상태: idle(정지/포스터) → loading(재생 요청) → playing | blocked(자동재생 차단) | failed(영상 오류)
+// 상태가 바뀔 때마다 video 요소에서 'herovideo:statechange' 이벤트 발생 (document까지 전파)
+//   detail: { state, previous, reason }
+const HERO_VIDEO_STATES = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    PLAYING: 'playing',
+    BLOCKED: 'blocked',
+    FAILED: 'failed',
+};
 
-            // 사용자 상호작용 후 재생 시도
-            if (isMobileDevice()) {
-                setupUserInteractionHandlers(heroVideo);
-            }
+// 상태별로 이동할 수 있는 다음 상태
+const HERO_VIDEO_TRANSITIONS = {
+    idle: ['loading', 'failed'],
+    loading: ['playing', 'blocked', 'idle', 'failed'],
+    playing: ['idle', 'failed'],
+    blocked: ['loading', 'idle', 'failed'],
+    failed: [],
+};
 
-            // 컨트롤은 계속 숨김 유지
-            hideVideoControls();
-            return false;
-        }
-    };
+// 데이터 절약 모드이거나 느린 회선이면 영상 대신 포스터 표시
+function isDataSaver() {
+    const connection = navigator.connection;
+    if (!connection) return false;
+    return connection.saveData === true || HERO_VIDEO_CONFIG.slowConnectionTypes.includes(connection.effectiveType);
+}
 
-    // 비디오 준비 상태에 따라 실행
-    if (heroVideo.readyState >= 1) {
-        playVideo();
-    } else {
-        // 메타데이터 로드 대기
-        const onLoadedMetadata = () => {
-            heroVideo.removeEventListener('loadedmetadata', onLoadedMetadata);
-            playVideo();
-        };
+let heroVideo = null;
 
-        heroVideo.addEventListener('loadedmetadata', onLoadedMetadata);
+function initHeroVideo() {
+    const video = document.querySelector('.main .hiro video');
+    if (!video || heroVideo) return heroVideo;
 
-        // 타임아웃 설정 (5초 후에도 로드 안되면 강제 시도)
-        setTimeout(() => {
-            heroVideo.removeEventListener('loadedmetadata', onLoadedMetadata);
-            playVideo();
-        }, 5000);
-    }
+    heroVideo = createHeroVideo(video);
+    return heroVideo;
 }
 
-// 사용자 상호작용 핸들러 설정
-function setupUserInteractionHandlers(video) {
-    console.log('사용자 상호작용 핸들러 설정');
-
-    const playOnInteraction = async () => {
-        try {
-            video.muted = true;
-            video.volume = 0;
-
-            const playPromise = video.play();
-            if (playPromise !== undefined) {
-                await playPromise;
-                console.log('✅ 사용자 상호작용 후 재생 성공');
-                hideVideoControls();
-            }
-        } catch (error) {
-            console.log('❌ 사용자 상호작용 후에도 재생 실패:', error.message);
-            hideVideoControls();
-        }
+function createHeroVideo(video) {
+    const section = video.closest('.hiro');
+    const source = video.querySelector('source[data-src]');
 
-        // 이벤트 리스너 제거
-        removeInteractionListeners();
-    };
+    let state = HERO_VIDEO_STATES.IDLE;
+    let isInView = true;
+    let isSuspended = false; // 화면 밖/탭 전환으로 잠시 멈춘 상태 (돌아오면 다시 재생)
+    let isUserPaused = false; // 사용자가 직접 멈춘 상태 (자동으로 다시 재생하지 않음)
 
-    const events = ['touchstart', 'touchend', 'click', 'scroll', 'keydown'];
-    const removeInteractionListeners = () => {
-        events.forEach((event) => {
-            document.removeEventListener(event, playOnInteraction);
-        });
-    };
+    // 음소거 + 인라인 재생 + 컨트롤 숨김 (모바일 자동재생 조건)
+    video.muted = true;
+    video.defaultMuted = true;
+    video.playsInline = true;
+    video.loop = true;
+    video.controls = false;
+    video.setAttribute('playsinline', '');
+    video.setAttribute('webkit-playsinline', '');
 
-    // 여러 상호작용 이벤트에 리스너 추가
-    events.forEach((event) => {
-        document.addEventListener(event, playOnInteraction, {
-            once: true,
-            passive: true,
-        });
-    });
+    // 재생/일시정지 버튼 (동작 줄이기·데이터 절약 모드, 자동재생 차단 시 표시)
+    const playBtn = document.createElement('button');
+    playBtn.type = 'button';
+    playBtn.className = 'hero_play';
+    video.insertAdjacentElement('afterend', playBtn);
 
-    // 10초 후 자동 정리
-    setTimeout(removeInteractionListeners, 10000);
-}
-
-// 비디오 이벤트 리스너 설정 (개선된 버전)
-function setupVideoEventListeners() {
-    const heroVideo = document.querySelector('.main .hiro video');
-    if (!heroVideo) return;
-
-    // 컨트롤 표시를 방지하는 이벤트들
-    const preventControlEvents = [
-        'loadstart',
-        'loadeddata',
-        'loadedmetadata',
-        'canplay',
-        'canplaythrough',
-        'play',
-        'pause',
-        'seeking',
-        'seeked',
-        'timeupdate',
-        'volumechange',
-        'ratechange',
-        'suspend',
-        'abort',
-        'error',
-        'emptied',
-        'stalled',
-        'waiting',
-    ];
+    const canAutoplay = () => !prefersReducedMotion() && !isDataSaver();
 
-    preventControlEvents.forEach((eventType) => {
-        heroVideo.addEventListener(
-            eventType,
-            () => {
-                hideVideoControls();
-            },
-            { passive: true }
-        );
-    });
+    function setState(next, reason) {
+        if (next === state) return;
+        if (!HERO_VIDEO_TRANSITIONS[state].includes(next)) {
+            console.warn(`히어로 영상 상태 전환 무시: ${state} → ${next}`);
+            return;
+        }
 
-    // 특별한 이벤트 핸들러들
-    heroVideo.addEventListener(
-        'pause',
-        () => {
-            // 비디오가 일시정지되면 다시 재생 시도
-            setTimeout(() => {
-                if (heroVideo.paused && !heroVideo.ended) {
-                    heroVideo.play().catch(() => {
-                        console.log('재생 재시도 실패');
-                    });
-                }
-            }, 100);
-        },
-        { passive: true }
-    );
+        const previous = state;
+        state = next;
+        section.dataset.videoState = state;
+        updatePlayBtn();
+        console.log(`🎬 히어로 영상: ${previous} → ${state} (${reason})`);
 
-    // 에러 발생 시 재시도
-    heroVideo.addEventListener('error', (e) => {
-        console.error('비디오 에러:', e);
-        // 에러 발생 시 잠시 후 다시 시도
-        setTimeout(() => {
-            if (heroVideo.networkState !== heroVideo.NETWORK_NO_SOURCE) {
-                attemptVideoAutoplay();
-            }
-        }, 1000);
-    });
+        video.dispatchEvent(
+            new CustomEvent('herovideo:statechange', { bubbles: true, detail: { state, previous, reason } })
+        );
+    }
 
-    // MutationObserver로 controls 속성 변경 감지
-    if (window.MutationObserver) {
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.type === 'attributes' && mutation.attributeName === 'controls') {
-                    hideVideoControls();
-                }
-            });
-        });
+    function updatePlayBtn() {
+        const isActive = state === HERO_VIDEO_STATES.PLAYING || state === HERO_VIDEO_STATES.LOADING;
+        playBtn.classList.toggle('playing', isActive);
+        playBtn.setAttribute('aria-label', isActive ? '배경 영상 일시정지' : '배경 영상 재생');
+        playBtn.hidden = state === HERO_VIDEO_STATES.FAILED;
+    }
 
-        observer.observe(heroVideo, {
-            attributes: true,
-            attributeFilter: ['controls'],
-        });
+    // 영상 주소는 재생할 때 처음 연결 (데이터 절약 모드에서는 내려받지 않음)
+    function ensureSource() {
+        if (!source || source.src) return;
+        source.src = source.dataset.src;
+        video.load();
     }
-}
 
-// 통합 비디오 초기화 함수 (개선된 버전)
-function initVideoControls() {
-    // 메인 페이지가 아니면 실행하지 않음
-    if (!document.querySelector('.main .hiro video')) return;
+    async function play(reason) {
+        if (state === HERO_VIDEO_STATES.FAILED) return;
+        if (state === HERO_VIDEO_STATES.PLAYING || state === HERO_VIDEO_STATES.LOADING) return;
 
-    console.log('🎬 비디오 컨트롤 초기화 시작 (모바일 최적화)');
+        ensureSource();
+        setState(HERO_VIDEO_STATES.LOADING, reason);
 
-    const heroVideo = document.querySelector('.main .hiro video');
+        try {
+            await video.play();
+        } catch (error) {
+            // pause()로 재생 요청이 취소된 경우는 이미 idle 상태
+            if (error.name === 'AbortError') return;
 
-    // 1. 즉시 속성 설정
-    setVideoAttributes(heroVideo);
-    hideVideoControls();
+            if (error.name === 'NotAllowedError') {
+                setState(HERO_VIDEO_STATES.BLOCKED, reason);
+                waitForInteraction();
+            } else {
+                setState(HERO_VIDEO_STATES.FAILED, error.message);
+            }
+        }
+    }
 
-    // 2. 이벤트 리스너 설정
-    setupVideoEventListeners();
+    function pause(reason) {
+        if (state === HERO_VIDEO_STATES.FAILED) return;
+        video.pause();
+        setState(HERO_VIDEO_STATES.IDLE, reason);
+    }
 
-    // 3. DOM 준비 후 자동재생 시도
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(attemptVideoAutoplay, 100);
-        });
-    } else {
-        setTimeout(attemptVideoAutoplay, 100);
+    // 자동재생이 차단되면 첫 터치/클릭/키 입력 때 한 번 더 시도
+    function waitForInteraction() {
+        const events = ['touchend', 'click', 'keydown'];
+        const retry = (event) => {
+            // 재생 버튼은 자체 click 핸들러에서 처리
+            if (event.target.closest && event.target.closest('.hero_play')) return;
+            events.forEach((type) => document.removeEventListener(type, retry));
+            if (state === HERO_VIDEO_STATES.BLOCKED) play('interaction');
+        };
+        events.forEach((type) => document.addEventListener(type, retry, { passive: true }));
     }
 
-    // 4. 페이지 가시성 변경 시 재시도
-    document.addEventListener('visibilitychange', () => {
-        if (!document.hidden) {
-            setTimeout(() => {
-                hideVideoControls();
-                if (heroVideo.paused && !heroVideo.ended) {
-                    attemptVideoAutoplay();
-                }
-            }, 100);
+    // 화면 밖으로 나가거나 탭이 숨겨지면 멈추고, 돌아오면 다시 재생
+    function syncVisibility() {
+        const isVisible = isInView && !document.hidden;
+        const isActive = state === HERO_VIDEO_STATES.PLAYING || state === HERO_VIDEO_STATES.LOADING;
+
+        if (!isVisible && isActive) {
+            isSuspended = true;
+            pause(isInView ? 'hidden' : 'offscreen');
+        } else if (isVisible && isSuspended) {
+            isSuspended = false;
+            play('resume');
         }
-    });
+    }
 
-    // 5. 페이지 포커스 시 재시도
-    window.addEventListener('focus', () => {
-        setTimeout(() => {
-            hideVideoControls();
-            if (heroVideo.paused && !heroVideo.ended) {
-                attemptVideoAutoplay();
-            }
-        }, 100);
-    });
+    // 동작 줄이기/데이터 절약 설정이 바뀌면 자동재생 여부 다시 결정
+    function syncPreference(reason) {
+        section.classList.toggle('video-manual', !canAutoplay());
 
-    // 6. 오리엔테이션 변경 시 재시도 (모바일)
-    if (isMobileDevice()) {
-        window.addEventListener('orientationchange', () => {
-            setTimeout(() => {
-                hideVideoControls();
-                attemptVideoAutoplay();
-            }, 300);
-        });
+        if (!canAutoplay()) {
+            isSuspended = false;
+            if (state !== HERO_VIDEO_STATES.IDLE) {
+                pause(reason);
+                video.load(); // 멈춘 장면 대신 포스터 화면으로 되돌림
+            }
+        } else if (!isUserPaused && isInView && !document.hidden) {
+            play('auto');
+        }
     }
-}
 
-// ==================== 4. 이미지 최적화 (Critical Path) ====================
-// WebP 지원 여부 확인
-function supportsWebP() {
-    return new Promise((resolve) => {
-        const webP = new Image();
-        webP.onload = webP.onerror = () => resolve(webP.height === 2);
-        webP.src =
-            'data:image/webp;base64,UklGRjoAAABXRUJQVlA4IC4AAACyAgCdASoCAAIALmk0mk0iIiIiIgBoSygABc6WWgAA/veff/0PP8bA//LwYAAA';
+    playBtn.addEventListener('click', () => {
+        if (state === HERO_VIDEO_STATES.PLAYING || state === HERO_VIDEO_STATES.LOADING) {
+            isUserPaused = true;
+            pause('user');
+        } else {
+            isUserPaused = false;
+            play('user');
+        }
     });
-}
-
-// 배경 이미지 적용
-function applyBackgroundImage(imagePath) {
-    const pointBox = document.querySelector('.point_box');
-    if (!pointBox) return;
 
-    // GPU 가속 활성화
-    pointBox.style.transform = 'translate3d(0,0,0)';
-    pointBox.style.willChange = 'background-image';
-    pointBox.style.backgroundImage = `url('${imagePath}')`;
-    pointBox.classList.add('bg-loaded');
+    video.addEventListener('playing', () => setState(HERO_VIDEO_STATES.PLAYING, 'playing'));
 
-    // 애니메이션 완료 후 will-change 제거 (메모리 최적화)
-    setTimeout(() => {
-        pointBox.style.willChange = 'auto';
-    }, 1000);
-}
+    // 영상 파일 오류는 <source>에서 발생
+    const onError = () => setState(HERO_VIDEO_STATES.FAILED, 'error');
+    video.addEventListener('error', onError);
+    if (source) source.addEventListener('error', onError);
 
-// 폴백 이미지 로드
-function loadFallbackImage(fallbackPath) {
-    const fallbackImg = new Image();
-    fallbackImg.onload = () => applyBackgroundImage(fallbackPath);
-    fallbackImg.src = fallbackPath;
-}
+    new IntersectionObserver(([entry]) => {
+        isInView = entry.isIntersecting;
+        syncVisibility();
+    }).observe(section);
+    document.addEventListener('visibilitychange', syncVisibility);
 
-// 이미지 사전 로드
-async function aggressivePreloadImages() {
-    // 로컬 파일 실행 시 건너뛰기
-    if (window.location.protocol === 'file:') {
-        console.log('로컬 개발 환경 - 배경 이미지 로드 건너뜀');
-        return;
+    onReducedMotionChange(() => syncPreference('reduced-motion'));
+    if (navigator.connection && navigator.connection.addEventListener) {
+        navigator.connection.addEventListener('change', () => syncPreference('connection'));
     }
 
-    const isWebPSupported = await supportsWebP();
-    const bgImagePath = isWebPSupported ? './images/point_bg.webp' : './images/point_bg.jpg';
+    section.dataset.videoState = state;
+    updatePlayBtn();
+    syncPreference(prefersReducedMotion() ? 'reduced-motion' : 'data-saver');
+
+    return {
+        get state() {
+            return state;
+        },
+        play: () => {
+            isUserPaused = false;
+            return play('api');
+        },
+        pause: () => {
+            isUserPaused = true;
+            pause('api');
+        },
+    };
+}
+
+// ==================== 4. 배경 이미지 지연 로드 ====================
+// data-bg 속성이 있는 요소의 배경 이미지를 화면에 가까워질 때 불러옴
+//   data-bg         기본 이미지 (JPEG 등 모든 브라우저가 지원하는 형식)
+//   data-bg-types   같은 이름으로 준비된 차세대 형식 (예: "avif webp") - 앞에서부터 시도
+//   data-bg-tablet  1200px 이하 화면용 이미지 (선택)
+//   data-bg-mobile  768px 이하 화면용 이미지 (선택)
+// 불러오기가 끝나면 bg-loaded 클래스 추가 (CSS 전환 효과용), 모두 실패하면 bg-error
+// 첫 화면(배너 등)에는 쓰지 않음 - 스크립트 실행을 기다리게 되므로 CSS 배경 + <link rel="preload">로 바로 로드
+const BG_BREAKPOINTS = [
+    { key: 'bgMobile', query: '(max-width: 768px)' },
+    { key: 'bgTablet', query: '(max-width: 1200px)' },
+];
+
+// 현재 화면 크기에 맞는 기본 이미지 주소 (작은 화면 우선)
+function getBackgroundSource(el) {
+    const breakpoint = BG_BREAKPOINTS.find(({ key, query }) => el.dataset[key] && window.matchMedia(query).matches);
+    return breakpoint ? el.dataset[breakpoint.key] : el.dataset.bg;
+}
 
-    const preloadLink = document.createElement('link');
-    preloadLink.rel = 'preload';
-    preloadLink.as = 'image';
-    preloadLink.href = bgImagePath;
-    preloadLink.fetchPriority = 'high';
-    document.head.appendChild(preloadLink);
+// 후보 목록: 차세대 형식(avif, webp) → 기본 이미지 순서
+function getBackgroundCandidates(src, types = '') {
+    const extensions = types.split(/\s+/).filter(Boolean);
+    return [...extensions.map((ext) => src.replace(/\.\w+$/, `.${ext}`)), src];
+}
 
+// 이미지 한 장 불러오기 (지원하지 않는 형식이거나 파일이 없으면 실패)
+function loadImage(src) {
     return new Promise((resolve, reject) => {
         const img = new Image();
-        img.crossOrigin = 'anonymous';
         img.decoding = 'async';
+        img.onload = () => resolve(src);
+        img.onerror = () => reject(new Error(`이미지 로드 실패: ${src}`));
+        img.src = src;
+    });
+}
 
-        img.onload = () => {
-            console.log('Background image loaded successfully');
-            applyBackgroundImage(bgImagePath);
-            resolve(true);
-        };
+async function loadBackgroundImage(el) {
+    const src = getBackgroundSource(el);
+    if (!src || el.dataset.bgSrc === src) return;
+    el.dataset.bgSrc = src;
 
-        img.onerror = () => {
-            console.error('Failed to load background image');
-            if (isWebPSupported && bgImagePath.includes('.webp')) {
-                loadFallbackImage('./images/point_bg.jpg');
-            } else {
-                reject(false);
-            }
-        };
+    for (const candidate of getBackgroundCandidates(src, el.dataset.bgTypes)) {
+        try {
+            await loadImage(candidate);
+            // 불러오는 사이 브레이크포인트가 바뀐 경우 무시
+            if (el.dataset.bgSrc !== src) return;
+
+            el.style.backgroundImage = `url('${candidate}')`;
+            el.classList.remove('bg-error');
+            el.classList.add('bg-loaded');
+            return;
+        } catch (error) {
+            console.warn(error.message);
+        }
+    }
+
+    el.classList.add('bg-error');
+}
 
-        img.src = bgImagePath;
+function initBackgroundImages() {
+    const targets = [...document.querySelectorAll('[data-bg]')];
+    if (targets.length === 0) return;
+
+    const observer = new IntersectionObserver(
+        (entries) => {
+            entries.forEach((entry) => {
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+                loadBackgroundImage(entry.target);
+            });
+        },
+        { rootMargin: '300px' }
+    );
+    targets.forEach((el) => observer.observe(el));
+
+    // 브레이크포인트가 바뀌면 이미 불러온 배경만 화면 크기에 맞는 이미지로 교체
+    const reloadLoaded = () => targets.filter((el) => el.dataset.bgSrc).forEach(loadBackgroundImage);
+    BG_BREAKPOINTS.forEach(({ query }) => {
+        const mediaQuery = window.matchMedia(query);
+        if (mediaQuery.addEventListener) mediaQuery.addEventListener('change', reloadLoaded);
+        else mediaQuery.addListener(reloadLoaded);
     });
+
+    console.log(`🖼️ 배경 이미지 지연 로드 대상: ${targets.length}개`);
 }
 
 // ==================== 5. DOM 초기화 (DOMContentLoaded) ====================
 document.addEventListener('DOMContentLoaded', async function () {
     console.log('DOM 로드 완료 - 초기화 시작');
 
-    // 5-1. 비디오 컨트롤 우선 초기화 (메인 페이지만)
-    initVideoControls();
+    // 5-0. 상담 모달 주입 (가장 먼저 - 상담 버튼(onclick)이 다른 초기화를 기다리지 않고 바로 모달을 열 수 있도록)
+    initModal();
 
-    // 5-2. 라이브러리 로드 대기
-    try {
-        await initializeGSAP();
-        console.log('All libraries loaded successfully');
-    } catch (error) {
-        console.error('Failed to load libraries:', error);
-        return;
-    }
+    // 5-1. 공통 헤더/푸터 렌더링 (라이브러리와 무관하게 먼저) + 햄버거 메뉴, 스크롤 진행 표시줄, 스크롤스파이
+    renderLayout();
+    initHeader();
+    initScrollProgress();
+    initScrollSpy();
 
-    // 5-3. 배경 초기화 (메인 페이지만)
-    const pointBox = document.querySelector('.point_box');
-    if (pointBox) {
-        pointBox.style.backgroundColor = '#000612';
-        pointBox.style.opacity = '1';
-    }
+    // 5-2. 히어로 배경 영상 우선 초기화 (메인 페이지만)
+    initHeroVideo();
 
-    // 5-4. 배경 이미지 프리로드 (메인 페이지만)
-    try {
-        await aggressivePreloadImages();
-    } catch (error) {
-        console.warn('Background image preloading failed, using fallback');
-    }
+    // 5-3. 배경 이미지 지연 로드 (data-bg)
+    initBackgroundImages();
 
-    // 5-5. Intersection Observer 설정
-    const observerOptions = {
-        root: null,
-        rootMargin: '300px',
-        threshold: 0,
-    };
+    // 5-4. 이벤트 분석 (클릭, 섹션 노출, 스크롤 깊이)
+    initAnalytics();
 
-    const pointObserver = new IntersectionObserver(async (entries) => {
-        for (const entry of entries) {
-            if (entry.isIntersecting) {
-                const pointBox = entry.target.querySelector('.point_box');
-                if (pointBox && !pointBox.classList.contains('bg-loaded')) {
-                    await aggressivePreloadImages();
-                    pointBox.classList.add('bg-preloaded');
-                }
-                pointObserver.unobserve(entry.target);
-                break;
-            }
-        }
-    }, observerOptions);
+    // 5-5. 데이터 기반 콘텐츠 렌더링 (센터장 페이지 그래프·예상 수익 계산기, 후기 캐러셀, 지사장 수익 시뮬레이터)
+    initRevenueGraph();
+    initRevenueEstimator();
+    initCarousels();
+    initIncomeSimulator();
 
-    const pointSection = document.querySelector('.point');
-    if (pointSection) {
-        pointObserver.observe(pointSection);
+    // 5-6. 라이브러리 확인 (CDN이 막힌 경우에만 자체 호스팅 사본 로드, 실패하면 애니메이션 없는 모드)
+    let hasLibraries = true;
+    try {
+        const source = await initializeGSAP();
+        console.log('All libraries loaded successfully');
+        if (source === 'fallback') {
+            reportError(new Error('CDN 라이브러리 대신 자체 호스팅 사본 사용'), { type: 'library' });
+        }
+    } catch (error) {
+        hasLibraries = false;
+        enableNoAnimationMode();
+        reportError(error, { type: 'library', extra: { missing: getMissingLibraries().map((lib) => lib.name) } });
     }
 
-    // 5-6. 헤더 초기화
-    initHeader();
+    if (!hasLibraries) return;
 
-    // 5-7. 모달 초기화
-    initModal();
+    // 5-7. 스마트 헤더 (스크롤 시 숨김/표시, 메인 페이지 배경 전환)
+    initSmartHeader();
 
     // 5-8. AOS 초기화
     if (typeof AOS !== 'undefined') {
@@ -519,10 +656,13 @@ document.addEventListener('DOMContentLoaded', async function () {
     }
 
     // 5-9. GSAP 애니메이션 초기화 (Non-blocking)
+    // 동작 줄이기 모드에서는 타임라인/ScrollTrigger를 만들지 않고, 설정이 켜지면 기존 애니메이션을 되돌림
     requestAnimationFrame(() => {
         if (typeof gsap !== 'undefined') {
-            initAnimations();
-            console.log('GSAP animations initialized');
+            gsap.matchMedia().add('(prefers-reduced-motion: no-preference)', (context) => {
+                initAnimations(context);
+                console.log('GSAP animations initialized');
+            });
         } else {
             console.error('GSAP library not loaded');
         }
@@ -530,9 +670,6 @@ document.addEventListener('DOMContentLoaded', async function () {
 
     // 5-10. 통합 resize 이벤트 (throttle 적용)
     const handleResize = throttle(() => {
-        // 비디오 컨트롤 숨김 유지
-        hideVideoControls();
-
         // 라이브러리 새로고침
         if (typeof AOS !== 'undefined') {
             AOS.refresh();
@@ -546,59 +683,288 @@ document.addEventListener('DOMContentLoaded', async function () {
 });
 
 // ==================== 6. 헤더 관리 ====================
+// 공통 헤더/메뉴/푸터 내용 (네 페이지 공통 - 수정은 여기서만)
+// HTML의 정적 마크업은 스크립트 실패 시 대비용이며, 로드되면 이 설정으로 다시 렌더링
+const SITE_LAYOUT = {
+    logo: { href: './index.html', src: './images/logo.png', alt: 'FM에셋' },
+    nav: [
+        { href: './index.html', label: '회사소개' },
+        { href: './center_recruit.html', label: '센터장 모집' },
+        { href: './branch_recruit.html', label: '지사장 모집' },
+        { href: './fc_recruit.html', label: 'FC 모집' },
+    ],
+    footer: {
+        company: '(주)에프엠에셋',
+        ceo: '김상완, 양주팔',
+        businessNumber: '314-81-47752',
+        agencyNumber: '2002031377',
+        address: '34909 대전광역시 중구 계백로 1719, 201호 (오류동, 센트리아오피스텔)',
+        phones: ['080-801-9987', '042-523-7500'],
+        copyright: 'COPYRIGHT ⓒ 2001~2015 FMASSET. ALL RIGHTS RESERVED',
+        service: {
+            title: 'FM에셋',
+            lines: [
+                '본 사이트는 광고 심의 기준을 준수하였으며, 유효기간은 심의일로부터 1년입니다.',
+                '(주)에프엠에셋이 제공하는 서비스입니다.',
+                '에프엠에셋 보험대리점 준법감시필 2025-0000 (2025.00.00~2026.00.00)',
+            ],
+        },
+        warning: {
+            title: '[필수 안내사항]',
+            lines: [
+                '보험 계약자가 기존 보험 계약을 해지하고, 새로운 보험 계약을 체결할 경우 유의사항은 아래와 같습니다.',
+                '1. 질병 이력, 연령 증가 등으로 가입이 거절되거나 보험료가 인상될 수 있습니다.',
+                '2. 가입 상품에 따라 새로운 면책기간 적용 및 보장 제한 등 기타 불이익이 발생할 수 있습니다.',
+            ],
+        },
+    },
+    floating: {
+        phone: '1600-6910',
+        icons: { phone: './images/f_i1.png', consult: './images/f_i2.png', kakao: './images/f_kakao.png' },
+        kakaoHref: '/',
+    },
+};
+
+// 플로팅 버튼 페이지별 설정 (FM_CONFIG.floating)
+const FLOATING_CONFIG = getPageConfig('floating', {
+    consultType: '', // 상담신청 버튼에서 미리 선택할 항목 (비우면 선택 없이 열기)
+});
+
+// 헤더 스크롤 동작 설정
+const HEADER_CONFIG = {
+    solidOffset: 20, // 메인 페이지에서 흰 배경으로 바뀌는 스크롤 위치(px)
+    tolerance: 8, // 이만큼(px) 이상 움직여야 숨김/표시 전환
+    scrollSpyOffset: 0.3, // 스크롤스파이 기준선 (화면 높이 대비 비율)
+};
+
+// 현재 페이지 메뉴 여부 (파일명 기준, 루트 주소는 index.html)
+function isCurrentPage(href) {
+    const current = window.location.pathname.split('/').pop() || 'index.html';
+    return href.split('/').pop() === current;
+}
+
+function createNavItems(nav) {
+    return nav
+        .map((item) => {
+            const current = isCurrentPage(item.href) ? ' class="on" aria-current="page"' : '';
+            return `<li><a href="${item.href}"${current}>${item.label}</a></li>`;
+        })
+        .join('');
+}
+
+// 페이지 내 이동 메뉴 - section[id][data-nav-label]이 있는 페이지만 (FC/지사장/센터장)
+function createPageNavMarkup(sections) {
+    if (sections.length === 0) return '';
+    const items = sections
+        .map((section) => `<li><a href="#${section.id}">${section.dataset.navLabel}</a></li>`)
+        .join('');
+    return `
+        <nav class="page_nav" aria-label="페이지 내 이동">
+            <ul>${items}</ul>
+        </nav>
+    `;
+}
+
+function createHeaderMarkup({ logo, nav }) {
+    return `
+        <div class="h_wrap">
+            <div class="h_container">
+                <nav class="header_wrap">
+                    <h1 class="logo">
+                        <a href="${logo.href}">
+                            <img src="${logo.src}" alt="${logo.alt}" />
+                        </a>
+                    </h1>
+                    <ul class="nav_menu">${createNavItems(nav)}</ul>
+                    <button type="button" class="ham_btn" aria-label="메뉴 열기" aria-expanded="false" aria-controls="ham_gnb">
+                        <img class="ham_icon" src="./images/ham_btn.png" alt="메뉴 버튼" />
+                    </button>
+                </nav>
+            </div>
+            <nav class="ham_gnb" id="ham_gnb" aria-label="모바일 메뉴">
+                <ul>${createNavItems(nav)}</ul>
+            </nav>
+        </div>
+    `;
+}
+
+function createFooterMarkup({ footer }) {
+    const phones = footer.phones
+        .map((phone) => `<a href="tel:${normalizePhone(phone)}">${phone}</a>`)
+        .join(', ');
+
+    return `
+        <div class="container">
+            <div class="company">
+                <p>
+                    <strong>${footer.company}</strong> 공동대표 : ${footer.ceo}<br />
+                    사업자 등록번호: ${footer.businessNumber} 대리점 등록번호: ${footer.agencyNumber}<br />
+                    사업장 주소: ${footer.address}<br />
+                    대표전화: ${phones}<br />
+                    ${footer.copyright}
+                </p>
+            </div>
+
+            <div class="service">
+                <p>
+                    <span>${footer.service.title}</span><br /><br />
+                    ${joinLines(footer.service.lines)}
+                </p>
+            </div>
+
+            <div class="warning">
+                <h4>${footer.warning.title}</h4>
+                <p>${joinLines(footer.warning.lines)}</p>
+            </div>
+        </div>
+    `;
+}
+
+function createFloatingMarkup({ floating }) {
+    return `
+        <div class="top">
+            <div class="top_img">
+                <img src="${floating.icons.phone}" alt="" />
+            </div>
+            <a href="tel:${normalizePhone(floating.phone)}" class="phone">
+                <p class="title">
+                    전화상담<br />
+                    ${floating.phone}
+                </p>
+            </a>
+        </div>
+
+        <button type="button" class="consult">
+            <img src="${floating.icons.consult}" alt="" />
+            <p class="title">종합상담접수</p>
+        </button>
+
+        <a href="${floating.kakaoHref}" class="kakao" target="_blank">
+            <img src="${floating.icons.kakao}" alt="" />
+            <p class="kakao_title">카카오톡 상담하기</p>
+        </a>
+    `;
+}
+
+// 헤더/푸터/플로팅 버튼을 SITE_LAYOUT 기준으로 다시 렌더링 (main_header, sub_header 등 페이지별 클래스는 유지)
+// HTML의 정적 마크업은 스크립트 실패 시 대비용으로 그대로 두고 여기서 덮어씀 (플로팅이 없는 페이지는 푸터 뒤에 추가)
+function renderLayout() {
+    const header = document.querySelector('header.header');
+    const footer = document.querySelector('footer');
+
+    if (header) {
+        header.innerHTML = createHeaderMarkup(SITE_LAYOUT);
+        const sections = [...document.querySelectorAll('section[id][data-nav-label]')];
+        header.querySelector('.h_wrap').insertAdjacentHTML('beforeend', createPageNavMarkup(sections));
+    }
+    if (footer) footer.innerHTML = createFooterMarkup(SITE_LAYOUT);
+
+    let floating = document.querySelector('.floating');
+    if (!floating) {
+        floating = document.createElement('div');
+        floating.className = 'floating';
+        if (footer) footer.after(floating);
+        else document.body.append(floating);
+    }
+    floating.innerHTML = createFloatingMarkup(SITE_LAYOUT);
+    floating.querySelector('.consult').addEventListener('click', () => {
+        openConsultationModal(FLOATING_CONFIG.consultType);
+    });
+}
+
 function initHeader() {
+    const header = document.querySelector('.header');
     const hamBtn = document.querySelector('.ham_btn');
     const hamGnb = document.querySelector('.ham_gnb');
     const hamIcon = document.querySelector('.ham_icon');
 
-    if (!hamBtn) return;
+    if (!hamBtn || !hamGnb) return;
 
+    // 햄버거 메뉴가 보이는 화면 크기 (common.css 반응형 768px과 동일)
+    const mobileMenuQuery = window.matchMedia('(max-width: 768px)');
     let isMenuOpen = false;
 
+    // 닫힌 메뉴의 링크는 Tab 순서에서 제외
+    hamGnb.setAttribute('inert', '');
+
     // 햄버거 버튼 클릭 이벤트
     hamBtn.addEventListener('click', function () {
-        isMenuOpen = !isMenuOpen;
-
-        if (isMenuOpen) {
-            // 메뉴 열기
-            hamGnb.classList.add('active');
-            hamIcon.src = './images/close_btn.png';
-            hamIcon.alt = '메뉴 닫기';
-            hamBtn.setAttribute('aria-label', '메뉴 닫기');
-
-            // 메인 페이지에서는 헤더 배경 변경
-            if (document.querySelector('.main') && typeof gsap !== 'undefined') {
-                gsap.to('.header', {
-                    backgroundColor: 'var(--bs-white)',
-                    boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
-                    duration: 0.3,
-                });
-                gsap.to('.header li a:not(.on)', {
-                    color: 'var(--bs-black)',
-                    duration: 0.3,
-                });
-            }
-        } else {
-            closeMenu();
-        }
+        if (isMenuOpen) closeMenu();
+        else openMenu();
     });
 
+    // 메뉴 열기 - 헤더 밖은 inert + 스크롤 잠금 (포커스는 버튼에 두고 Tab으로 메뉴 이동)
+    function openMenu() {
+        isMenuOpen = true;
+        hamGnb.classList.add('active');
+        hamGnb.removeAttribute('inert');
+        hamIcon.src = './images/close_btn.png';
+        hamIcon.alt = '메뉴 닫기';
+        hamBtn.setAttribute('aria-label', '메뉴 닫기');
+        hamBtn.setAttribute('aria-expanded', 'true');
+        document.body.style.overflow = 'hidden';
+        setBackgroundInert(header, true);
+
+        // 메인 페이지에서는 헤더 배경 변경
+        if (document.querySelector('.main') && typeof gsap !== 'undefined') {
+            gsap.to('.header', {
+                backgroundColor: 'var(--bs-white)',
+                boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+                duration: 0.3,
+            });
+            gsap.to('.header li a:not(.on)', {
+                color: 'var(--bs-black)',
+                duration: 0.3,
+            });
+        }
+    }
+
     // 메뉴 링크 클릭 시 메뉴 닫기
     const menuLinks = document.querySelectorAll('.ham_gnb a');
     menuLinks.forEach((link) => {
-        link.addEventListener('click', closeMenu);
+        link.addEventListener('click', () => closeMenu());
+    });
+
+    // ESC 키로 닫기 (포커스는 햄버거 버튼으로), Tab 키 포커스는 헤더 안에서만 순환
+    document.addEventListener('keydown', (e) => {
+        if (!isMenuOpen) return;
+        if (e.key === 'Escape') {
+            closeMenu({ restoreFocus: true });
+            return;
+        }
+        trapFocus(header, e);
     });
 
+    // 헤더 바깥 클릭 시 닫기
+    document.addEventListener('click', (e) => {
+        if (isMenuOpen && !header.contains(e.target)) closeMenu();
+    });
+
+    // 데스크톱 크기로 바뀌면 닫기 (햄버거 버튼이 사라져 다시 닫을 수 없으므로)
+    const handleMenuBreakpoint = (event) => {
+        if (!event.matches) closeMenu();
+    };
+    if (mobileMenuQuery.addEventListener) mobileMenuQuery.addEventListener('change', handleMenuBreakpoint);
+    else mobileMenuQuery.addListener(handleMenuBreakpoint);
+
     // 메뉴 닫기 함수
-    function closeMenu() {
+    function closeMenu({ restoreFocus = false } = {}) {
+        if (!isMenuOpen) return;
+
         hamGnb.classList.remove('active');
+        hamGnb.setAttribute('inert', '');
         hamIcon.src = './images/ham_btn.png';
         hamIcon.alt = '메뉴 버튼';
         hamBtn.setAttribute('aria-label', '메뉴 열기');
+        hamBtn.setAttribute('aria-expanded', 'false');
+        document.body.style.overflow = '';
+        setBackgroundInert(header, false);
         isMenuOpen = false;
 
+        if (restoreFocus) hamBtn.focus();
+
         // 메인 페이지 + 스크롤 최상단일 때 투명 헤더로 복원
-        if (document.querySelector('.main') && window.scrollY < 20 && typeof gsap !== 'undefined') {
+        if (document.querySelector('.main') && window.scrollY <= HEADER_CONFIG.solidOffset && typeof gsap !== 'undefined') {
             gsap.to('.header', {
                 backgroundColor: 'transparent',
                 boxShadow: 'none',
@@ -611,71 +977,452 @@ function initHeader() {
         }
     }
 
-    // 헤더 스크롤 애니메이션 (메인 페이지만)
-    if (document.querySelector('.main') && typeof ScrollTrigger !== 'undefined') {
-        ScrollTrigger.create({
-            start: '20px top',
-            onEnter: () => {
-                if (typeof gsap !== 'undefined') {
-                    gsap.to('.header', {
-                        y: 0,
-                        backgroundColor: 'var(--bs-white)',
-                        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
-                        duration: 0.1,
-                        ease: 'power1.out',
-                    });
-                    gsap.to('.header li a:not(.on)', {
-                        color: 'var(--bs-black)',
-                        duration: 0.1,
-                    });
-                }
-            },
-            onLeave: () => {
-                if (typeof gsap !== 'undefined') {
-                    gsap.to('.header', {
-                        y: -80,
-                        duration: 0.1,
-                        ease: 'power1.out',
-                    });
-                }
-            },
-            onEnterBack: () => {
-                if (typeof gsap !== 'undefined') {
-                    gsap.to('.header', {
-                        y: 0,
-                        backgroundColor: 'var(--bs-white)',
-                        boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
-                        duration: 0.1,
-                        ease: 'power1.out',
-                    });
-                }
-            },
-            onLeaveBack: () => {
-                if (typeof gsap !== 'undefined') {
-                    gsap.to('.header', {
-                        y: 0,
-                        backgroundColor: 'transparent',
-                        boxShadow: 'none',
-                        duration: 0.1,
-                        ease: 'power1.out',
-                    });
-                    gsap.to('.header li a:not(.on)', {
-                        color: 'var(--bs-white)',
-                        duration: 0.1,
-                    });
-                }
-            },
+}
+
+// 스마트 헤더 (모든 페이지): 아래로 스크롤하면 숨기고 위로 스크롤하면 다시 표시
+// 메인 페이지는 최상단에서 투명 배경, 내려가면 흰 배경 (라이브러리 로드 후 초기화)
+function initSmartHeader() {
+    const header = document.querySelector('.header');
+    const hamGnb = document.querySelector('.ham_gnb');
+
+    if (!header) return;
+
+    // 햄버거 메뉴 열림 여부 (initHeader가 .ham_gnb.active로 관리)
+    const isMenuOpen = () => Boolean(hamGnb?.classList.contains('active'));
+
+    if (typeof ScrollTrigger !== 'undefined') {
+        const isMain = !!document.querySelector('.main');
+        let isSolid = false;
+        let isHidden = false;
+        let lastScroll = window.scrollY;
+
+        const setSolid = (solid) => {
+            if (!isMain || solid === isSolid) return;
+            isSolid = solid;
+            gsap.to('.header', {
+                backgroundColor: solid ? 'var(--bs-white)' : 'transparent',
+                boxShadow: solid ? '0 2px 6px rgba(0,0,0,0.1)' : 'none',
+                duration: 0.1,
+                ease: 'power1.out',
+            });
+            gsap.to('.header li a:not(.on)', {
+                color: solid ? 'var(--bs-black)' : 'var(--bs-white)',
+                duration: 0.1,
+            });
+        };
+
+        const setHidden = (hidden) => {
+            if (hidden === isHidden) return;
+            isHidden = hidden;
+            gsap.to('.header', {
+                yPercent: hidden ? -100 : 0,
+                duration: 0.2,
+                ease: 'power1.out',
+            });
+        };
+
+        ScrollTrigger.create({
+            start: 0,
+            end: 'max',
+            onUpdate: (self) => {
+                const scroll = self.scroll();
+                setSolid(scroll > HEADER_CONFIG.solidOffset);
+
+                // 작은 흔들림은 무시, 메뉴가 열려 있거나 동작 줄이기 모드에서는 숨기지 않음
+                const delta = scroll - lastScroll;
+                if (isMenuOpen() || Math.abs(delta) < HEADER_CONFIG.tolerance) return;
+                lastScroll = scroll;
+                setHidden(delta > 0 && scroll > header.offsetHeight && !prefersReducedMotion());
+            },
+        });
+        setSolid(window.scrollY > HEADER_CONFIG.solidOffset);
+
+        // 숨겨진 헤더 안으로 키보드 포커스가 들어오면 다시 표시
+        header.addEventListener('focusin', () => setHidden(false));
+
+        // 헤더가 숨겨진 상태에서 동작 줄이기 모드가 켜지면 다시 표시
+        onReducedMotionChange((isReduced) => {
+            if (isReduced) setHidden(false);
         });
     }
 }
 
+// 스크롤 진행 표시줄 (라이브러리와 무관하게 동작)
+function initScrollProgress() {
+    const bar = document.createElement('div');
+    bar.className = 'scroll_progress';
+    bar.setAttribute('aria-hidden', 'true');
+    document.body.prepend(bar);
+
+    let ticking = false;
+    const update = () => {
+        ticking = false;
+        const max = document.documentElement.scrollHeight - window.innerHeight;
+        const progress = max > 0 ? Math.min(window.scrollY / max, 1) : 0;
+        bar.style.transform = `scaleX(${progress})`;
+    };
+    const requestUpdate = () => {
+        if (ticking) return;
+        ticking = true;
+        requestAnimationFrame(update);
+    };
+
+    window.addEventListener('scroll', requestUpdate, { passive: true });
+    window.addEventListener('resize', requestUpdate);
+    update();
+}
+
+// 페이지 내 이동 링크(a[href^="#"]) 스크롤스파이 - 현재 보고 있는 섹션의 링크에 on 클래스
+function initScrollSpy() {
+    const links = [...document.querySelectorAll('a[href^="#"]')].filter(
+        (link) => link.hash.length > 1 && document.getElementById(link.hash.slice(1))
+    );
+    if (links.length === 0) return;
+
+    const sections = [...new Set(links.map((link) => document.getElementById(link.hash.slice(1))))];
+    let currentId = null;
+
+    // 헤더 높이를 CSS 변수로 공유 (섹션 scroll-margin-top, 지사 현황 높이)
+    const syncHeaderHeight = () => {
+        const header = document.querySelector('.header');
+        if (header) document.documentElement.style.setProperty('--header-height', `${header.offsetHeight}px`);
+    };
+
+    const setCurrent = (id) => {
+        if (id === currentId) return;
+        currentId = id;
+        links.forEach((link) => {
+            const isCurrent = link.hash.slice(1) === id;
+            link.classList.toggle('on', isCurrent);
+            if (isCurrent) link.setAttribute('aria-current', 'location');
+            else link.removeAttribute('aria-current');
+        });
+    };
+
+    // 화면 위쪽 기준선(HEADER_CONFIG.scrollSpyOffset)을 지난 마지막 섹션, 페이지 끝에서는 마지막 섹션
+    const update = () => {
+        const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+        const line = window.innerHeight * HEADER_CONFIG.scrollSpyOffset;
+        const passed = sections.filter((section) => section.getBoundingClientRect().top <= line);
+        const current = atBottom ? sections[sections.length - 1] : passed[passed.length - 1];
+        setCurrent(current ? current.id : null);
+    };
+
+    // 링크 클릭 시 부드럽게 이동 후 섹션으로 포커스 이동 (동작 줄이기 모드에서는 즉시 이동)
+    links.forEach((link) => {
+        link.addEventListener('click', (e) => {
+            const target = document.getElementById(link.hash.slice(1));
+            e.preventDefault();
+            target.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+            if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+            target.focus({ preventScroll: true });
+            history.replaceState(null, '', link.hash);
+        });
+    });
+
+    syncHeaderHeight();
+    update();
+    window.addEventListener('scroll', throttle(update, 100), { passive: true });
+    window.addEventListener(
+        'resize',
+        throttle(() => {
+            syncHeaderHeight();
+            update();
+        }, 200)
+    );
+}
+
 // ==================== 7. 모달 관리 ====================
-// 전역 함수로 모달 열기
-function openConsultationModal() {
+// 상담신청 항목 (select 옵션)
+const CONSULT_TYPES = ['신입 합목', '지사장 지원', 'FC입사 상담', '수평이전 프로젝트', '센터장 지원 상담'];
+
+// 필수 약관 (체크박스와 제목) - 전문·버전·시행일은 코드에 두지 않고 CONSULT_CONFIG.termsUrl에서 불러옴
+// 약관 파일 형식: { "privacy": { "version", "effectiveDate", "content": ["문단", ...] }, "sensitive": { ... } }
+// 문구가 바뀌면 version·effectiveDate를 올린 파일로 교체 (제출 시 동의한 버전이 기록됨)
+// #ISSUE: 현재 파일은 법무 검토 전 초안(v1.0-draft) - 최종 문구로 교체 필요
+const CONSENT_TERMS = {
+    privacy: {
+        checkboxId: 'agree_two_consult',
+        title: '개인정보 취급방침 및 서비스 이용약관',
+    },
+    sensitive: {
+        checkboxId: 'agree_third_consult',
+        title: '민감정보 제3자 제공 동의',
+    },
+};
+
+// 약관 전문 (한 번만 불러옴, 실패하면 다음 호출 때 다시 시도)
+let consentTermsPromise = null;
+
+function loadConsentTerms() {
+    if (!consentTermsPromise) {
+        consentTermsPromise = fetchJSON(CONSULT_CONFIG.termsUrl).then((data) => {
+            const invalid = Object.keys(CONSENT_TERMS).filter((key) => {
+                const terms = data?.[key];
+                return !terms?.version || !terms.effectiveDate || !Array.isArray(terms.content) || terms.content.length === 0;
+            });
+            if (invalid.length > 0) throw new Error(`약관 데이터 누락: ${invalid.join(', ')}`);
+            return data;
+        });
+        consentTermsPromise.catch(() => {
+            consentTermsPromise = null;
+        });
+    }
+    return consentTermsPromise;
+}
+
+// 약관별 동의 시각 (체크 해제 시 삭제)
+const consentRecords = {};
+
+// 상담신청 모달 마크업 (모든 페이지에 initModal()이 주입)
+function createConsultationModal() {
+    const options = CONSULT_TYPES.map((type) => `<option value="${type}">${type}</option>`).join('');
+    const wrapper = document.createElement('div');
+
+    wrapper.innerHTML = `
+        <div class="modal" id="consultationModal">
+            <div class="modal_bg"></div>
+            <div class="modal_wrap" role="dialog" aria-modal="true" aria-labelledby="consultTitle">
+                <div class="modal_inner">
+                    <p id="consultTitle"># 상담신청</p>
+
+                    <!-- 다른 화면에서 넘겨받은 내용 (예: 수익 시뮬레이션 결과) -->
+                    <p class="modal_context" id="consultContext" hidden></p>
+
+                    <!-- 셀렉트 박스 -->
+                    <div class="select_box">
+                        <select id="consultType" aria-label="상담신청 항목" aria-describedby="consultTypeError">
+                            <option value="">상담신청</option>
+                            ${options}
+                        </select>
+                        <p class="field_error" id="consultTypeError" aria-live="polite"></p>
+                    </div>
+
+                    <!-- 입력 박스 -->
+                    <div class="input_box">
+                        <input type="text" id="inputName" placeholder="방문자 이름 입력" aria-label="이름"
+                            aria-describedby="inputNameError" autocomplete="name" maxlength="20" />
+                        <p class="field_error" id="inputNameError" aria-live="polite"></p>
+                        <input type="tel" id="inputPhone" placeholder="휴대폰 번호 입력 (010-1234-5678)" aria-label="휴대폰 번호"
+                            aria-describedby="inputPhoneError" inputmode="numeric" autocomplete="tel" maxlength="13" />
+                        <p class="field_error" id="inputPhoneError" aria-live="polite"></p>
+                    </div>
+
+                    <!-- 희망 연락 시간 -->
+                    <fieldset class="callback_box">
+                        <legend>희망 연락 시간 (선택)</legend>
+                        <div class="callback_selects">
+                            <select id="callbackDate" aria-label="희망 연락 날짜">
+                                <option value="">날짜 선택 (상관없음)</option>
+                            </select>
+                            <select id="callbackTime" aria-label="희망 연락 시간대" aria-describedby="callbackTimeError" disabled>
+                                <option value="">시간대 선택</option>
+                            </select>
+                        </div>
+                        <p class="field_error" id="callbackTimeError" aria-live="polite"></p>
+                    </fieldset>
+
+                    <!-- 동의 체크박스 -->
+                    <div class="check">
+                        <label for="agree_all_consult">
+                            <input type="checkbox" id="agree_all_consult" name="agree_all_consult" />
+                            <em>전체 동의</em>
+                        </label>
+                        <div class="check_row">
+                            <label for="agree_two_consult">
+                                <input type="checkbox" id="agree_two_consult" name="agree_two_consult" aria-describedby="agreeError" />
+                                <em>개인정보 취급방침 및 서비스 이용약관</em>
+                            </label>
+                            <button type="button" class="terms_view" data-terms="privacy" aria-controls="termsPanel"
+                                aria-label="개인정보 취급방침 및 서비스 이용약관 보기">보기</button>
+                        </div>
+                        <div class="check_row">
+                            <label for="agree_third_consult">
+                                <input type="checkbox" id="agree_third_consult" name="agree_third_consult" aria-describedby="agreeError" />
+                                <em>민감정보 제3자 제공 동의</em>
+                            </label>
+                            <button type="button" class="terms_view" data-terms="sensitive" aria-controls="termsPanel"
+                                aria-label="민감정보 제3자 제공 동의 보기">보기</button>
+                        </div>
+                        <p class="field_error" id="agreeError" aria-live="polite"></p>
+                    </div>
+
+                    <!-- 스팸 방지용 숨김 필드 (사람에게는 보이지 않음) -->
+                    <div class="hp_field" aria-hidden="true">
+                        <label for="consultWebsite">웹사이트</label>
+                        <input type="text" id="consultWebsite" name="website" tabindex="-1" autocomplete="off" />
+                    </div>
+
+                    <!-- 전송 상태 메시지 -->
+                    <p class="modal_status" id="consultStatus" role="status" aria-live="polite"></p>
+
+                    <!-- 버튼 -->
+                    <button type="button" class="button-modal button btn_small" id="submitBtn">상담신청하기</button>
+                    <button type="button" class="reset_btn" id="resetBtn">초기화</button>
+                    <button type="button" class="close_btn" id="closeBtn" aria-label="상담신청 닫기">
+                        <img src="./images/close_btn.png" alt="" />
+                    </button>
+                </div>
+
+                <!-- 약관 전문 -->
+                <div class="terms_panel" id="termsPanel" role="dialog" aria-modal="true" aria-labelledby="termsTitle" hidden>
+                    <div class="terms_head">
+                        <h4 id="termsTitle"></h4>
+                        <p class="terms_version" id="termsVersion"></p>
+                    </div>
+                    <div class="terms_body" id="termsBody" tabindex="0"></div>
+                    <div class="terms_btns">
+                        <button type="button" class="terms_close" id="termsCloseBtn">닫기</button>
+                        <button type="button" class="button-modal" id="termsAgreeBtn">동의하기</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    return wrapper.firstElementChild;
+}
+
+// 모달을 열기 전 포커스가 있던 요소 (닫을 때 복원)
+let modalReturnFocus = null;
+
+// 약관 패널을 연 '보기' 버튼 (닫을 때 복원)
+let termsReturnFocus = null;
+
+// 약관 전문 패널 열기 (전문을 불러오지 못하면 안내 문구만 표시하고 '동의하기' 비활성화)
+async function openTermsPanel(termsKey) {
+    const item = CONSENT_TERMS[termsKey];
+    const panel = document.getElementById('termsPanel');
+    if (!item || !panel) return;
+
+    termsReturnFocus = document.activeElement;
+    panel.dataset.terms = termsKey;
+
+    const version = document.getElementById('termsVersion');
+    const body = document.getElementById('termsBody');
+    const agreeBtn = document.getElementById('termsAgreeBtn');
+
+    document.getElementById('termsTitle').textContent = item.title;
+    version.textContent = '';
+    body.innerHTML = '<p>약관을 불러오는 중입니다.</p>';
+    agreeBtn.disabled = true;
+
+    panel.hidden = false;
+    panel.closest('.modal_wrap').querySelector('.modal_inner').setAttribute('inert', '');
+    body.focus();
+
+    let terms = null;
+    try {
+        terms = (await loadConsentTerms())[termsKey];
+    } catch (error) {
+        reportError(error, { type: 'consent', source: CONSULT_CONFIG.termsUrl });
+    }
+
+    // 불러오는 동안 패널이 닫혔거나 다른 약관으로 바뀌었으면 무시
+    if (panel.hidden || panel.dataset.terms !== termsKey) return;
+
+    const paragraphs = terms ? terms.content : ['약관을 불러오지 못했습니다. 잠시 후 다시 시도해주세요.'];
+    if (terms) version.textContent = `버전 ${terms.version} · 시행일 ${terms.effectiveDate}`;
+    agreeBtn.disabled = !terms;
+
+    body.innerHTML = '';
+    paragraphs.forEach((paragraph) => {
+        const p = document.createElement('p');
+        p.textContent = paragraph;
+        body.appendChild(p);
+    });
+    body.scrollTop = 0;
+}
+
+// 약관 전문 패널 닫기 (restoreFocus가 false면 포커스 복원 생략)
+function closeTermsPanel(restoreFocus = true) {
+    const panel = document.getElementById('termsPanel');
+    if (!panel || panel.hidden) return;
+
+    panel.hidden = true;
+    panel.closest('.modal_wrap').querySelector('.modal_inner').removeAttribute('inert');
+
+    if (restoreFocus && termsReturnFocus) termsReturnFocus.focus();
+    termsReturnFocus = null;
+}
+
+// 제출용 약관 동의 정보 (동의 여부, 불러온 약관 버전, 동의 시각)
+function buildAgreementPayload(termsData) {
+    return Object.fromEntries(
+        Object.entries(CONSENT_TERMS).map(([key, item]) => [
+            key,
+            {
+                agreed: Boolean(document.getElementById(item.checkboxId)?.checked),
+                version: termsData[key].version,
+                agreedAt: consentRecords[key] || null,
+            },
+        ])
+    );
+}
+
+// 모달을 연 페이지 (유입 경로 정보와 함께 제출)
+let modalOpenedFrom = '';
+
+// 모달을 연 시각 (이탈 시 머문 시간 기록용)
+let modalOpenedAt = 0;
+
+// 처음 입력한 시각 (최소 입력 시간 검사용, 0이면 아직 입력 전)
+let modalFirstInputAt = 0;
+
+// 작성 중이던 내용을 복원했는지 (복원한 경우 최소 입력 시간 검사 생략)
+let modalDraftRestored = false;
+
+// 접수 완료 여부 (완료 없이 닫으면 이탈로 기록)
+let modalSubmitted = false;
+
+// 신청 식별자 - 모달을 열 때 발급, 재시도/다시 신청해도 같은 값이라 서버가 중복 접수를 걸러냄
+let modalSubmissionId = '';
+
+function createSubmissionId() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// 모달을 연 화면에서 넘겨준 내용 { title, summary, data } - 신청 내용(payload.context)에 함께 전송
+let modalContext = null;
+
+// 전역 함수로 모달 열기 (consultType을 넘기면 해당 항목을 미리 선택)
+function openConsultationModal(consultType, context = null) {
     const modal = document.getElementById('consultationModal');
     if (modal) {
+        modalReturnFocus = document.activeElement;
+        modalOpenedFrom = window.location.href;
+        modalOpenedAt = Date.now();
+        modalFirstInputAt = 0;
+        modalSubmitted = false;
+        modalSubmissionId = createSubmissionId();
+        setModalContext(context);
+
+        // 약관 전문 미리 불러오기 (실패는 약관 보기/제출 때 처리)
+        loadConsentTerms().catch(() => {});
+
+        // 작성 중이던 내용 복원 후, 상담 항목이 비어 있을 때만 페이지 기본 항목 선택
+        const draft = restoreConsultDraft();
+        modalDraftRestored = Boolean(draft);
+        renderCallbackDates(draft?.callbackDate, draft?.callbackTime);
+
+        const consultTypeSelect = document.getElementById('consultType');
+        if (consultType && consultTypeSelect && !consultTypeSelect.value && CONSULT_TYPES.includes(consultType)) {
+            consultTypeSelect.value = consultType;
+        }
+
         modal.classList.add('active');
         document.body.style.overflow = 'hidden';
+        setBackgroundInert(modal, true);
+        trackEvent(
+            'consult_modal_open',
+            { consultType: consultTypeSelect?.value || '', hasContext: Boolean(context) },
+            modalReturnFocus
+        );
+
+        // 첫 번째 입력 필드로 포커스 이동
+        const firstField = getFocusableElements(modal.querySelector('.modal_inner'))[0];
+        if (firstField) firstField.focus();
     }
 }
 
@@ -683,10 +1430,53 @@ function openConsultationModal() {
 function closeConsultationModal() {
     const modal = document.getElementById('consultationModal');
     if (modal) {
+        const wasOpen = modal.classList.contains('active');
+
         modal.classList.remove('active');
         document.body.style.overflow = '';
+        setBackgroundInert(modal, false);
+
+        // 접수하지 않고 닫은 경우 이탈 기록 (입력한 항목 수만 기록)
+        if (wasOpen && !modalSubmitted) {
+            const filledFields = ['consultType', 'inputName', 'inputPhone'].filter(
+                (id) => document.getElementById(id)?.value
+            );
+            trackEvent('consult_modal_abandon', {
+                filledFields: filledFields.length,
+                duration: Date.now() - modalOpenedAt,
+            });
+        }
+
+        // 모달을 연 버튼으로 포커스 복원
+        if (wasOpen) {
+            const returnTarget = modalReturnFocus?.isConnected ? modalReturnFocus : document.querySelector('.consult');
+            if (returnTarget) returnTarget.focus();
+            modalReturnFocus = null;
+        }
+
+        // 화면의 입력값은 비우되, 작성 중인 내용은 임시 저장본으로 남아 다시 열 때 복원됨
+        resetConsultForm();
+        setModalContext(null);
 
-        // 폼 초기화
+        // 전송 상태 초기화
+        setModalState('');
+    }
+}
+
+// 넘겨받은 내용을 모달 상단에 표시
+function setModalContext(context) {
+    modalContext = context;
+
+    const contextEl = document.getElementById('consultContext');
+    if (!contextEl) return;
+    contextEl.hidden = !context;
+    contextEl.textContent = context ? `${context.title}: ${context.summary}` : '';
+}
+
+// 상담신청 폼 초기화 (필드, 약관 동의, 오류 메시지)
+function resetConsultForm() {
+    const modal = document.getElementById('consultationModal');
+    if (modal) {
         const form = modal.querySelector('form');
         if (form) form.reset();
 
@@ -694,20 +1484,368 @@ function closeConsultationModal() {
         const consultType = document.getElementById('consultType');
         const inputName = document.getElementById('inputName');
         const inputPhone = document.getElementById('inputPhone');
+        const callbackDate = document.getElementById('callbackDate');
+        const callbackTime = document.getElementById('callbackTime');
+        const honeypot = document.getElementById('consultWebsite');
         const checkboxes = modal.querySelectorAll('input[type="checkbox"]');
 
         if (consultType) consultType.value = '';
         if (inputName) inputName.value = '';
         if (inputPhone) inputPhone.value = '';
+        if (callbackDate) callbackDate.value = '';
+        if (callbackTime) renderCallbackTimes();
+        if (honeypot) honeypot.value = '';
         checkboxes.forEach((checkbox) => (checkbox.checked = false));
+        Object.keys(consentRecords).forEach((key) => delete consentRecords[key]);
+        closeTermsPanel(false);
+
+        // 오류 메시지 초기화
+        setFieldError(consultType, '');
+        setFieldError(inputName, '');
+        setFieldError(inputPhone, '');
+        setFieldError(callbackTime, '');
+        setAgreementError('');
     }
 }
 
+// 작성 중인 상담신청 임시 저장 (약관 동의는 저장하지 않음)
+const CONSULT_DRAFT_KEY = 'fm_consult_draft';
+
+function saveConsultDraft() {
+    const draft = {
+        consultType: document.getElementById('consultType')?.value || '',
+        name: document.getElementById('inputName')?.value || '',
+        phone: document.getElementById('inputPhone')?.value || '',
+        callbackDate: document.getElementById('callbackDate')?.value || '',
+        callbackTime: document.getElementById('callbackTime')?.value || '',
+    };
+
+    if (Object.values(draft).some(Boolean)) {
+        writeStorageJSON(sessionStorage, CONSULT_DRAFT_KEY, draft);
+    } else {
+        clearConsultDraft();
+    }
+}
+
+// 임시 저장본을 입력 필드에 복원하고 반환 (희망 연락 시간은 renderCallbackDates가 복원)
+function restoreConsultDraft() {
+    const draft = readStorageJSON(sessionStorage, CONSULT_DRAFT_KEY);
+    if (!draft) return null;
+
+    const consultType = document.getElementById('consultType');
+    const inputName = document.getElementById('inputName');
+    const inputPhone = document.getElementById('inputPhone');
+
+    if (consultType && CONSULT_TYPES.includes(draft.consultType)) consultType.value = draft.consultType;
+    if (inputName && draft.name) inputName.value = draft.name;
+    if (inputPhone && draft.phone) inputPhone.value = formatPhoneNumber(draft.phone);
+    return draft;
+}
+
+function clearConsultDraft() {
+    try {
+        sessionStorage.removeItem(CONSULT_DRAFT_KEY);
+    } catch (error) {
+        // 저장소 사용 불가 환경은 무시
+    }
+}
+
+// 모달 전송 상태 표시 ('' | 'loading' | 'success' | 'error' | 'notice')
+function setModalState(state, message = '') {
+    const modal = document.getElementById('consultationModal');
+    const status = document.getElementById('consultStatus');
+    const submitBtn = document.getElementById('submitBtn');
+    if (!modal) return;
+
+    modal.classList.remove('loading', 'success', 'error', 'notice');
+    if (state) modal.classList.add(state);
+
+    if (status) status.textContent = message;
+
+    if (submitBtn) {
+        submitBtn.disabled = state === 'loading' || state === 'success';
+        submitBtn.textContent = state === 'loading' ? '신청 접수 중...' : '상담신청하기';
+    }
+}
+
+// 상담신청 전송 (네트워크 오류·시간 초과 시에만 재시도 - 시간 초과된 요청이 이미 접수됐어도 같은 submissionId라 중복 접수되지 않음)
+async function postConsultation(payload) {
+    const { endpoint, timeout, retries, retryDelay } = CONSULT_CONFIG;
+
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: controller.signal,
+            });
+            const result = await response.json().catch(() => ({}));
+
+            // 서버가 거절한 요청은 재시도하지 않음
+            if (!response.ok || result.ok === false) {
+                const error = new Error(result.message || `HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return result;
+        } catch (error) {
+            const isNetworkError = error.name === 'TypeError' || error.name === 'AbortError';
+            if (!isNetworkError || attempt >= retries) throw error;
+
+            console.log(`상담신청 전송 재시도 (${attempt + 1}/${retries})`);
+            await new Promise((resolve) => setTimeout(resolve, retryDelay * (attempt + 1)));
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+// 중복 신청 기록 (번호는 해시로만 저장)
+const CONSULT_HISTORY_KEY = 'fm_consult_history';
+
+// 문자열 해시 (djb2)
+function hashString(value) {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// 중복 신청 제한 기간 안에 같은 번호로 접수된 적이 있는지 확인
+function isRecentlySubmitted(phoneDigits) {
+    const history = readStorageJSON(localStorage, CONSULT_HISTORY_KEY) || {};
+    const submittedAt = history[hashString(phoneDigits)];
+    return Boolean(submittedAt) && Date.now() - submittedAt < CONSULT_CONFIG.duplicateWindow;
+}
+
+// 접수 완료된 번호 기록 (기간이 지난 기록은 정리)
+function recordSubmission(phoneDigits) {
+    const now = Date.now();
+    const history = readStorageJSON(localStorage, CONSULT_HISTORY_KEY) || {};
+
+    Object.keys(history).forEach((key) => {
+        if (now - history[key] >= CONSULT_CONFIG.duplicateWindow) delete history[key];
+    });
+    history[hashString(phoneDigits)] = now;
+
+    writeStorageJSON(localStorage, CONSULT_HISTORY_KEY, history);
+}
+
+// 희망 연락 시간 - 요일 표시
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+// 공휴일 데이터 (한 번만 불러옴, 실패 시 주말만 제외)
+let holidaysPromise = null;
+
+function loadHolidays() {
+    if (!holidaysPromise) {
+        holidaysPromise = fetchJSON(CALLBACK_CONFIG.holidaysUrl)
+            .then((data) => new Set((data.holidays || []).map((holiday) => holiday.date)))
+            .catch((error) => {
+                console.warn('공휴일 데이터 로드 실패 - 주말만 제외합니다:', error.message);
+                return new Set();
+            });
+    }
+    return holidaysPromise;
+}
+
+// Date → 'YYYY-MM-DD' (현지 시간 기준)
+const toDateKey = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// 'HH:MM' → 분
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// 'YYYY-MM-DD' → '10월 20일 (화)'
+function formatCallbackDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return `${month}월 ${day}일 (${WEEKDAY_LABELS[date.getDay()]})`;
+}
+
+// 날짜별 선택 가능한 시간대 (오늘이면 leadTime 이후에 시작하는 시간대만)
+function getAvailableSlots(dateKey, now = new Date()) {
+    const { timeSlots, leadTime } = CALLBACK_CONFIG;
+    if (dateKey !== toDateKey(now)) return timeSlots;
+
+    const earliest = now.getHours() * 60 + now.getMinutes() + leadTime;
+    return timeSlots.filter((slot) => toMinutes(slot.start) >= earliest);
+}
+
+// 오늘부터 선택 가능한 영업일 목록 (주말·공휴일 제외, 긴 연휴 대비 최대 한 달 탐색)
+function getCallbackDates(holidays, now = new Date()) {
+    const { businessDays, daysAhead } = CALLBACK_CONFIG;
+    const dates = [];
+    const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    for (let i = 0; i < 31 && dates.length < daysAhead; i++) {
+        const dateKey = toDateKey(cursor);
+        if (
+            businessDays.includes(cursor.getDay()) &&
+            !holidays.has(dateKey) &&
+            getAvailableSlots(dateKey, now).length > 0
+        ) {
+            dates.push(dateKey);
+        }
+        cursor.setDate(cursor.getDate() + 1);
+    }
+    return dates;
+}
+
+// 날짜 선택지 갱신 (모달을 열 때마다 현재 시각 기준으로 다시 계산)
+async function renderCallbackDates(preferredDate, preferredTime) {
+    const dateSelect = document.getElementById('callbackDate');
+    if (!dateSelect) return;
+
+    const holidays = await loadHolidays();
+    const selectedDate = preferredDate ?? dateSelect.value;
+    const selectedTime = preferredTime ?? document.getElementById('callbackTime')?.value;
+
+    dateSelect.innerHTML =
+        '<option value="">날짜 선택 (상관없음)</option>' +
+        getCallbackDates(holidays)
+            .map((dateKey) => `<option value="${dateKey}">${formatCallbackDate(dateKey)}</option>`)
+            .join('');
+
+    if ([...dateSelect.options].some((option) => option.value === selectedDate)) {
+        dateSelect.value = selectedDate;
+    }
+    renderCallbackTimes(selectedTime);
+}
+
+// 선택한 날짜의 시간대 선택지 갱신
+function renderCallbackTimes(preferredTime) {
+    const dateSelect = document.getElementById('callbackDate');
+    const timeSelect = document.getElementById('callbackTime');
+    if (!dateSelect || !timeSelect) return;
+
+    const selectedTime = preferredTime ?? timeSelect.value;
+    const slots = dateSelect.value ? getAvailableSlots(dateSelect.value) : [];
+
+    timeSelect.innerHTML =
+        '<option value="">시간대 선택</option>' +
+        slots.map((slot) => `<option value="${slot.start}-${slot.end}">${slot.start}~${slot.end}</option>`).join('');
+    timeSelect.disabled = slots.length === 0;
+
+    if (slots.some((slot) => `${slot.start}-${slot.end}` === selectedTime)) {
+        timeSelect.value = selectedTime;
+    }
+}
+
+// 제출용 희망 연락 시간 (선택하지 않았으면 null)
+function getCallbackSelection() {
+    const date = document.getElementById('callbackDate')?.value;
+    const time = document.getElementById('callbackTime')?.value;
+    if (!date || !time) return null;
+
+    const [start, end] = time.split('-');
+    return { date, start, end, label: `${formatCallbackDate(date)} ${start}~${end}` };
+}
+
+// 입력값 검증 규칙
+const CONSULT_RULES = {
+    nameMinLength: 2,
+    nameMaxLength: 20,
+    namePattern: /^[가-힣a-zA-Z\s]+$/, // 한글·영문·공백만 허용
+    mobilePattern: /^01(?:0\d{8}|[16-9]\d{7,8})$/, // 010, 011, 016~019
+};
+
+// 휴대폰 번호에서 숫자만 추출
+const normalizePhone = (value) => value.replace(/\D/g, '');
+
+// 휴대폰 번호 자동 하이픈 (010-1234-5678 / 011-123-4567)
+function formatPhoneNumber(value) {
+    const digits = normalizePhone(value).slice(0, 11);
+    const middleLength = digits.startsWith('010') || digits.length === 11 ? 4 : 3;
+
+    if (digits.length <= 3) return digits;
+    if (digits.length <= 3 + middleLength) return `${digits.slice(0, 3)}-${digits.slice(3)}`;
+    return `${digits.slice(0, 3)}-${digits.slice(3, 3 + middleLength)}-${digits.slice(3 + middleLength)}`;
+}
+
+// 이름 검증 (오류 메시지 반환, 정상이면 빈 문자열)
+function validateName(value) {
+    const name = value.trim();
+    const { nameMinLength, nameMaxLength, namePattern } = CONSULT_RULES;
+
+    if (!name) return '이름을 입력해주세요.';
+    if (!namePattern.test(name)) return '이름은 한글 또는 영문만 입력할 수 있습니다.';
+    if (name.length < nameMinLength || name.length > nameMaxLength) {
+        return `이름은 ${nameMinLength}~${nameMaxLength}자로 입력해주세요.`;
+    }
+    return '';
+}
+
+// 휴대폰 번호 검증 (오류 메시지 반환, 정상이면 빈 문자열)
+function validatePhone(value) {
+    const digits = normalizePhone(value);
+
+    if (!digits) return '휴대폰 번호를 입력해주세요.';
+    if (!CONSULT_RULES.mobilePattern.test(digits)) return '올바른 휴대폰 번호를 입력해주세요. (예: 010-1234-5678)';
+    return '';
+}
+
+// 입력 필드 아래 오류 메시지 표시 (빈 메시지면 제거)
+// 오류 요소는 HTML에서 aria-describedby로 필드와 연결되어 있음
+function setFieldError(field, message) {
+    if (!field) return;
+    const errorEl = document.getElementById(`${field.id}Error`);
+
+    field.classList.toggle('invalid', Boolean(message));
+    if (message) {
+        field.setAttribute('aria-invalid', 'true');
+    } else {
+        field.removeAttribute('aria-invalid');
+    }
+    if (errorEl) errorEl.textContent = message;
+}
+
+// 필수 약관 오류 표시 (체크하지 않은 약관만 오류 상태로 표시)
+function setAgreementError(message) {
+    const errorEl = document.getElementById('agreeError');
+    const requiredCheckboxes = [
+        document.getElementById('agree_two_consult'),
+        document.getElementById('agree_third_consult'),
+    ];
+
+    requiredCheckboxes.forEach((checkbox) => {
+        if (!checkbox) return;
+        const isInvalid = Boolean(message) && !checkbox.checked;
+        checkbox.classList.toggle('invalid', isInvalid);
+        if (isInvalid) {
+            checkbox.setAttribute('aria-invalid', 'true');
+        } else {
+            checkbox.removeAttribute('aria-invalid');
+        }
+    });
+    if (errorEl) errorEl.textContent = message;
+}
+
 function initModal() {
+    // 모달 마크업이 없는 페이지에는 주입
+    if (!document.getElementById('consultationModal')) {
+        document.body.prepend(createConsultationModal());
+    }
+
     const modal = document.getElementById('consultationModal');
     const closeBtn = document.getElementById('closeBtn');
     const modalBg = modal?.querySelector('.modal_bg');
     const submitBtn = document.getElementById('submitBtn');
+    const consultTypeSelect = document.getElementById('consultType');
+    const inputName = document.getElementById('inputName');
+    const inputPhone = document.getElementById('inputPhone');
+    const honeypot = document.getElementById('consultWebsite');
+
+    // 전송 중 중복 클릭 방지
+    let isSubmitting = false;
 
     // 체크박스 요소들
     const agreeAllCheckbox = document.getElementById('agree_all_consult');
@@ -718,8 +1856,24 @@ function initModal() {
     if (agreeAllCheckbox && agreeTwoCheckbox && agreeThirdCheckbox) {
         agreeAllCheckbox.addEventListener('change', function () {
             const isChecked = this.checked;
-            agreeTwoCheckbox.checked = isChecked;
-            agreeThirdCheckbox.checked = isChecked;
+            // change 이벤트를 발생시켜 동의 시각 기록·오류 갱신이 함께 처리되도록 함
+            [agreeTwoCheckbox, agreeThirdCheckbox].forEach((checkbox) => {
+                if (checkbox.checked === isChecked) return;
+                checkbox.checked = isChecked;
+                checkbox.dispatchEvent(new Event('change'));
+            });
+        });
+
+        // 약관별 동의 시각 기록
+        Object.entries(CONSENT_TERMS).forEach(([key, item]) => {
+            const checkbox = document.getElementById(item.checkboxId);
+            checkbox?.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    consentRecords[key] = new Date().toISOString();
+                } else {
+                    delete consentRecords[key];
+                }
+            });
         });
 
         // 개별 체크박스 변경 시 전체 동의 상태 업데이트
@@ -728,6 +1882,109 @@ function initModal() {
                 agreeAllCheckbox.checked = agreeTwoCheckbox.checked && agreeThirdCheckbox.checked;
             });
         });
+
+        // 약관 오류 표시 중이면 체크할 때마다 다시 확인
+        [agreeAllCheckbox, agreeTwoCheckbox, agreeThirdCheckbox].forEach((checkbox) => {
+            checkbox.addEventListener('change', () => {
+                if (document.getElementById('agreeError')?.textContent) {
+                    setAgreementError(validateAgreements());
+                }
+            });
+        });
+    }
+
+    // 필수 약관 검증 (오류 메시지 반환, 정상이면 빈 문자열)
+    function validateAgreements() {
+        return agreeTwoCheckbox.checked && agreeThirdCheckbox.checked ? '' : '필수 약관에 동의해주세요.';
+    }
+
+    // 약관 '보기' 버튼
+    modal.querySelectorAll('.terms_view').forEach((button) => {
+        button.addEventListener('click', () => openTermsPanel(button.dataset.terms));
+    });
+
+    // 약관 패널 닫기 / 동의하기
+    document.getElementById('termsCloseBtn')?.addEventListener('click', () => closeTermsPanel());
+    document.getElementById('termsAgreeBtn')?.addEventListener('click', () => {
+        const item = CONSENT_TERMS[document.getElementById('termsPanel').dataset.terms];
+        const checkbox = item && document.getElementById(item.checkboxId);
+        if (checkbox && !checkbox.checked) {
+            checkbox.checked = true;
+            checkbox.dispatchEvent(new Event('change'));
+        }
+        closeTermsPanel();
+    });
+
+    // 희망 연락 날짜를 바꾸면 시간대 선택지 갱신
+    const callbackDate = document.getElementById('callbackDate');
+    const callbackTime = document.getElementById('callbackTime');
+    callbackDate?.addEventListener('change', () => {
+        renderCallbackTimes();
+        setFieldError(callbackTime, '');
+    });
+    callbackTime?.addEventListener('change', () => {
+        if (callbackTime.value) setFieldError(callbackTime, '');
+    });
+
+    // 입력할 때마다 임시 저장 + 첫 입력 시각 기록
+    const markFirstInput = () => {
+        if (!modalFirstInputAt) modalFirstInputAt = Date.now();
+    };
+    [consultTypeSelect, inputName, inputPhone, callbackDate, callbackTime].forEach((field) => {
+        field?.addEventListener('input', saveConsultDraft);
+        field?.addEventListener('change', saveConsultDraft);
+        field?.addEventListener('input', markFirstInput);
+        field?.addEventListener('change', markFirstInput);
+    });
+
+    // 초기화 버튼 - 임시 저장본까지 삭제
+    document.getElementById('resetBtn')?.addEventListener('click', () => {
+        clearConsultDraft();
+        resetConsultForm();
+        modalDraftRestored = false;
+        modalFirstInputAt = 0;
+        setModalState('');
+        consultTypeSelect?.focus();
+    });
+
+    // 상담 항목 선택 시 오류 제거
+    if (consultTypeSelect) {
+        consultTypeSelect.addEventListener('change', () => {
+            if (consultTypeSelect.value) setFieldError(consultTypeSelect, '');
+        });
+    }
+
+    // 휴대폰 번호 입력 시 자동 하이픈 (커서 위치 유지)
+    if (inputPhone) {
+        inputPhone.addEventListener('input', () => {
+            const caretDigits = normalizePhone(inputPhone.value.slice(0, inputPhone.selectionStart)).length;
+            inputPhone.value = formatPhoneNumber(inputPhone.value);
+
+            let caret = 0;
+            for (let count = 0; caret < inputPhone.value.length && count < caretDigits; caret++) {
+                if (/\d/.test(inputPhone.value[caret])) count++;
+            }
+            inputPhone.setSelectionRange(caret, caret);
+
+            // 오류 표시 중이면 입력할 때마다 다시 확인
+            if (inputPhone.classList.contains('invalid')) {
+                setFieldError(inputPhone, validatePhone(inputPhone.value));
+            }
+        });
+        inputPhone.addEventListener('blur', () => {
+            if (inputPhone.value) setFieldError(inputPhone, validatePhone(inputPhone.value));
+        });
+    }
+
+    if (inputName) {
+        inputName.addEventListener('input', () => {
+            if (inputName.classList.contains('invalid')) {
+                setFieldError(inputName, validateName(inputName.value));
+            }
+        });
+        inputName.addEventListener('blur', () => {
+            if (inputName.value) setFieldError(inputName, validateName(inputName.value));
+        });
     }
 
     // 이벤트 리스너들
@@ -736,206 +1993,581 @@ function initModal() {
 
     // 제출 버튼 클릭
     if (submitBtn) {
-        submitBtn.addEventListener('click', () => {
-            const consultType = document.getElementById('consultType').value;
-            const name = document.getElementById('inputName').value;
-            const phone = document.getElementById('inputPhone').value;
-
-            // 유효성 검사
-            if (!consultType) {
-                alert('상담신청 항목을 선택해주세요.');
+        submitBtn.addEventListener('click', async () => {
+            if (isSubmitting) return;
+
+            // 이전 안내 메시지 제거
+            setModalState('');
+
+            const consultType = consultTypeSelect.value;
+            const name = inputName.value;
+            const phone = inputPhone.value;
+
+            // 유효성 검사 - 모든 필드에 오류를 표시하고 첫 번째 오류 필드로 포커스 이동
+            const fieldErrors = [
+                [consultTypeSelect, consultType ? '' : '상담신청 항목을 선택해주세요.'],
+                [inputName, validateName(name)],
+                [inputPhone, validatePhone(phone)],
+                [callbackTime, callbackDate?.value && !callbackTime.value ? '희망 연락 시간대를 선택해주세요.' : ''],
+            ];
+            fieldErrors.forEach(([field, message]) => setFieldError(field, message));
+
+            const agreementError = validateAgreements();
+            setAgreementError(agreementError);
+
+            const firstInvalid =
+                fieldErrors.find(([, message]) => message)?.[0] ||
+                (agreementError && (agreeTwoCheckbox.checked ? agreeThirdCheckbox : agreeTwoCheckbox));
+            if (firstInvalid) {
+                trackEvent('consult_validation_error', {
+                    fields: fieldErrors.filter(([, message]) => message).map(([field]) => field.id),
+                    agreement: Boolean(agreementError),
+                });
+                firstInvalid.focus();
                 return;
             }
-            if (!name.trim()) {
-                alert('이름을 입력해주세요.');
+
+            // 숨김 필드가 채워졌으면 봇으로 간주 - 전송하지 않고 완료된 것처럼 처리
+            if (honeypot?.value) {
+                console.warn('스팸 의심 제출 차단 (honeypot)');
+                trackEvent('consult_blocked', { reason: 'honeypot' });
+                modalSubmitted = true;
+                setModalState('success', '상담 신청이 완료되었습니다. 빠른 시일 내에 연락드리겠습니다.');
+                setTimeout(closeConsultationModal, CONSULT_CONFIG.successDelay);
                 return;
             }
-            if (!phone.trim()) {
-                alert('휴대폰 번호를 입력해주세요.');
+
+            // 입력을 시작한 직후의 제출 차단 (작성 중이던 내용을 복원해 바로 제출하는 경우는 허용)
+            const fillTime = modalFirstInputAt ? Date.now() - modalFirstInputAt : 0;
+            if (!modalDraftRestored && fillTime < CONSULT_CONFIG.minFillTime) {
+                trackEvent('consult_blocked', { reason: 'too_fast' });
+                setModalState('error', '입력 내용을 확인하신 후 잠시 뒤 다시 신청해주세요.');
                 return;
             }
-            if (!agreeTwoCheckbox.checked || !agreeThirdCheckbox.checked) {
-                alert('필수 약관에 동의해주세요.');
+
+            // 같은 번호로 이미 접수된 경우
+            const phoneDigits = normalizePhone(phone);
+            if (isRecentlySubmitted(phoneDigits)) {
+                trackEvent('consult_blocked', { reason: 'duplicate' });
+                setModalState('notice', '이미 상담신청이 접수된 번호입니다. 담당자가 곧 연락드릴 예정이니 조금만 기다려주세요.');
                 return;
             }
 
-            console.log('상담신청:', { consultType, name, phone });
-            alert('상담 신청이 완료되었습니다.');
-            closeConsultationModal();
+            isSubmitting = true;
+            setModalState('loading');
+
+            // 동의한 약관 버전을 기록할 수 없으면 접수하지 않음
+            let termsData;
+            try {
+                termsData = await loadConsentTerms();
+            } catch (error) {
+                isSubmitting = false;
+                reportError(error, { type: 'consent', source: CONSULT_CONFIG.termsUrl });
+                trackEvent('consult_blocked', { reason: 'terms_unavailable' });
+                setModalState('error', '약관 정보를 불러오지 못해 신청할 수 없습니다. 잠시 후 다시 시도해주세요.');
+                return;
+            }
+
+            const payload = {
+                submissionId: modalSubmissionId,
+                consultType,
+                name: name.trim(),
+                phone: phoneDigits,
+                callback: getCallbackSelection(),
+                context: modalContext,
+                agreements: buildAgreementPayload(termsData),
+                attribution: { ...getAttribution(), modalPage: modalOpenedFrom || window.location.href },
+                fillTime,
+                submittedAt: new Date().toISOString(),
+            };
+
+            try {
+                await postConsultation(payload);
+                recordSubmission(phoneDigits);
+                clearConsultDraft();
+                modalSubmitted = true;
+                trackEvent('consult_submit', { consultType, hasCallback: Boolean(payload.callback) });
+                setModalState(
+                    'success',
+                    payload.callback
+                        ? `상담 신청이 완료되었습니다. ${payload.callback.label}에 연락드리겠습니다.`
+                        : '상담 신청이 완료되었습니다. 빠른 시일 내에 연락드리겠습니다.'
+                );
+
+                // 서버 접수 확인 후에만 모달 닫기
+                setTimeout(closeConsultationModal, CONSULT_CONFIG.successDelay);
+            } catch (error) {
+                reportError(error, { type: 'consult', source: CONSULT_CONFIG.endpoint });
+                trackEvent('consult_submit_error', { message: error.message });
+                setModalState('error', '일시적인 오류로 신청이 접수되지 않았습니다. 잠시 후 다시 시도해주세요.');
+            } finally {
+                isSubmitting = false;
+            }
         });
     }
 
-    // ESC 키로 모달 닫기
+    // ESC 키로 모달 닫기 (약관 패널이 열려 있으면 패널만 닫기)
+    // Tab 키 포커스는 현재 열린 영역 안에서만 순환
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && modal?.classList.contains('active')) {
-            closeConsultationModal();
+        if (!modal?.classList.contains('active')) return;
+
+        const termsPanel = document.getElementById('termsPanel');
+        const isTermsOpen = termsPanel && !termsPanel.hidden;
+
+        if (e.key === 'Escape') {
+            if (isTermsOpen) {
+                closeTermsPanel();
+            } else {
+                closeConsultationModal();
+            }
+        } else {
+            trapFocus(isTermsOpen ? termsPanel : modal.querySelector('.modal_inner'), e);
         }
     });
 }
 
-// ==================== 8. 애니메이션 초기화 (페이지별 분기) ====================
-function initAnimations() {
-    if (document.querySelector('.main')) {
-        initMainAnimations();
-    }
-    if (document.querySelector('.fc_recruit')) {
-        initFCAnimations();
-    }
-    if (document.querySelector('.branch_recruit')) {
-        initBranchAnimations();
-    }
-    if (document.querySelector('.center_recruit')) {
-        initCenterAnimations();
+// ==================== 8. 애니메이션 초기화 (페이지별 분기) ====================
+// context: gsap.matchMedia() 컨텍스트 - 비동기로 만드는 애니메이션도 여기에 등록해야 함께 정리됨
+function initAnimations(context) {
+    // 공통: data-anim 속성으로 지정한 애니메이션 (FC 영업기법, 지사장 파트너쉽/지원 등)
+    initDeclarativeAnimations();
+
+    // 공통: data-text-ring 3D 회전 문구 (메인 롤링 영역, 지사장 지사 현황, 센터장 텍스트 영역)
+    initTextRings();
+
+    // 페이지 전용: 데이터 기반 그래프처럼 속성으로 표현하기 어려운 애니메이션
+    if (document.querySelector('.center_recruit')) {
+        initCenterAnimations(context);
+    }
+}
+
+// ==================== 9. 3D 텍스트 링 (data-text-ring) ====================
+// 자식 요소(문구)를 원통 위에 배치하고 스크롤에 따라 회전, 정면에 온 문구에 focus 클래스
+//   data-text-ring                  링으로 만들 요소 (항목 개수 제한 없음)
+//   data-text-ring-trigger="선택자"  스크롤 기준 요소 (기본: 가장 가까운 section)
+//   data-text-ring-start / -end     ScrollTrigger start/end (기본: top center / bottom center)
+//   data-text-ring-step="60"        항목 사이 각도(deg) (기본: 항목이 몇 개든 첫 항목~마지막 항목이 arc 안에 들어가도록 arc / (개수 - 1))
+//   data-text-ring-radius="1.2"     회전 반지름 (가장 큰 항목 높이의 배수)
+// 정면 문구가 바뀌면 textring:focuschange 이벤트(detail: index, previous, item)를 보내고
+// 화면 낭독기용 라이브 영역(.text_ring_live)에 문구를 알림
+const TEXT_RING_CONFIG = {
+    start: 'top center',
+    end: 'bottom center',
+    arc: 180, // 첫 항목과 마지막 항목 사이 각도(deg) - 4개면 항목 사이 60°
+    radius: 1.2,
+    scrub: 1,
+};
+
+function initTextRings() {
+    document.querySelectorAll('[data-text-ring]').forEach((root) => createTextRing(root));
+}
+
+// 링 바로 뒤의 라이브 영역 (동작 줄이기 모드 전환으로 다시 만들 때는 기존 영역 재사용)
+function getTextRingLiveRegion(root) {
+    const next = root.nextElementSibling;
+    if (next && next.classList.contains('text_ring_live')) return next;
+
+    const live = document.createElement('div');
+    live.className = 'text_ring_live sr-only';
+    live.setAttribute('aria-live', 'polite');
+    live.setAttribute('aria-atomic', 'true');
+    root.after(live);
+    return live;
+}
+
+function createTextRing(root) {
+    const items = Array.from(root.children);
+    if (items.length < 2) return null;
+
+    const { textRingTrigger, textRingStart, textRingEnd, textRingStep, textRingRadius } = root.dataset;
+    const trigger = (textRingTrigger && document.querySelector(textRingTrigger)) || root.closest('section') || root;
+    const step = ((parseFloat(textRingStep) || TEXT_RING_CONFIG.arc / (items.length - 1)) * Math.PI) / 180;
+    const radiusRatio = parseFloat(textRingRadius) || TEXT_RING_CONFIG.radius;
+    const live = getTextRingLiveRegion(root);
+
+    let radius = 0;
+    let progress = 0;
+    let focusIndex = -1;
+
+    // 반지름은 화면 크기별 고정값 대신 실제 항목 높이로 계산 (글자 크기가 바뀌는 중단점에서도 간격 유지)
+    function measure() {
+        radius = Math.max(...items.map((item) => item.offsetHeight)) * radiusRatio;
+    }
+
+    function render() {
+        const rotation = progress * (items.length - 1) * step;
+        items.forEach((item, index) => {
+            const angle = index * step - rotation;
+            gsap.set(item, {
+                y: Math.sin(angle) * radius,
+                z: Math.cos(angle) * radius,
+                rotateX: -((angle * 180) / Math.PI),
+            });
+        });
+        setFocus(Math.round(progress * (items.length - 1)));
+    }
+
+    function setFocus(index) {
+        if (index === focusIndex) return;
+        const previous = focusIndex;
+        focusIndex = index;
+
+        items.forEach((item, i) => item.classList.toggle('focus', i === index));
+        live.textContent = items[index].textContent.trim();
+        root.dispatchEvent(
+            new CustomEvent('textring:focuschange', { bubbles: true, detail: { index, previous, item: items[index] } })
+        );
+    }
+
+    measure();
+    render();
+
+    // 창 크기가 바뀌면 ScrollTrigger.refresh() 때 반지름을 다시 계산
+    ScrollTrigger.create({
+        trigger,
+        start: textRingStart || TEXT_RING_CONFIG.start,
+        end: textRingEnd || TEXT_RING_CONFIG.end,
+        scrub: TEXT_RING_CONFIG.scrub,
+        onUpdate: (self) => {
+            progress = self.progress;
+            render();
+        },
+        onRefresh: (self) => {
+            progress = self.progress;
+            measure();
+            render();
+        },
+    });
+
+    return {
+        get index() {
+            return focusIndex;
+        },
+        get item() {
+            return items[focusIndex];
+        },
+        refresh() {
+            measure();
+            render();
+        },
+    };
+}
+
+// ==================== 10. 선언형 스크롤 애니메이션 (data-anim) ====================
+// HTML 속성만으로 GSAP/ScrollTrigger 애니메이션 지정 (생략한 값은 ANIMATION_CONFIG 기본값)
+//   data-anim            효과: fade | slide | zoom
+//   data-anim-direction  이동 방향: up | down | left | right (AOS와 같은 기준 - up은 아래에서 올라옴)
+//   data-anim-delay      시작 시점(초) - 그룹 안에서는 타임라인상의 위치
+//   data-anim-duration   재생 시간(초)
+//   data-anim-stagger    지정하면 요소 자신 대신 자식 요소를 이 간격(초)으로 차례대로 재생
+//   data-anim-group      같은 이름의 요소를 하나의 타임라인으로 묶음 (DOM 순서상 첫 요소가 스크롤 트리거)
+// AOS(data-aos)와 같은 요소에 함께 쓰지 않습니다.
+
+// 이동 방향 → 시작 위치
+function getAnimationOffset(direction, distance) {
+    switch (direction) {
+        case 'up':
+            return { y: distance };
+        case 'down':
+            return { y: -distance };
+        case 'left':
+            return { x: distance };
+        case 'right':
+            return { x: -distance };
+        default:
+            return {};
     }
 }
 
-// ==================== 9. 메인 페이지 애니메이션 ====================
-function initMainAnimations() {
-    initPointAnimation();
-}
+// 효과별 시작 상태 (gsap.from 기준)
+const ANIMATION_EFFECTS = {
+    fade: (direction, distance) => ({ opacity: 0, ...getAnimationOffset(direction, distance) }),
+    slide: (direction = 'up', distance) => getAnimationOffset(direction, distance),
+    zoom: (direction, distance) => ({
+        opacity: 0,
+        scale: ANIMATION_CONFIG.zoomScale,
+        ...getAnimationOffset(direction, distance),
+    }),
+};
 
-// 포인트 섹션 3D 회전 애니메이션
-function initPointAnimation() {
-    if (typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') {
-        console.error('GSAP or ScrollTrigger not loaded');
-        return;
+function getAnimationVars(el) {
+    const { anim, animDirection, animDuration, animStagger } = el.dataset;
+    const effect = ANIMATION_EFFECTS[anim];
+    if (!effect) {
+        console.warn('알 수 없는 data-anim 효과:', anim, el);
+        return null;
     }
 
-    const pointTexts = gsap.utils.toArray('.point .ani_text p').slice(0, 4);
-    if (pointTexts.length === 0) return;
+    // data-anim-stagger 값을 비워 두면 기본 간격
+    const stagger = Number.isNaN(parseFloat(animStagger)) ? ANIMATION_CONFIG.stagger : parseFloat(animStagger);
 
-    // 화면 크기별 회전 반지름 계산
-    function getPointRadius() {
-        const screenWidth = window.innerWidth;
-        if (screenWidth <= 480) return 70;
-        if (screenWidth <= 768) return 75;
-        if (screenWidth <= 1200) return 100;
-        return 120;
-    }
+    return {
+        ...effect(animDirection, ANIMATION_CONFIG.distance),
+        duration: parseFloat(animDuration) || ANIMATION_CONFIG.duration,
+        ease: ANIMATION_CONFIG.ease,
+        stagger: animStagger === undefined ? 0 : stagger,
+    };
+}
 
-    let radius = getPointRadius();
-    const totalTexts = pointTexts.length;
+function initDeclarativeAnimations() {
+    const elements = gsap.utils.toArray('[data-anim]');
+    if (elements.length === 0) return;
 
-    // 텍스트 초기 위치 설정
-    function initializePointTexts() {
-        const currentRadius = getPointRadius();
-        pointTexts.forEach((text, index) => {
-            const angle = (index / (totalTexts - 1)) * Math.PI;
-            const y = Math.sin(angle) * currentRadius;
-            const z = Math.cos(angle) * currentRadius;
+    // 그룹 이름이 없으면 요소 하나가 타임라인 하나
+    const groups = new Map();
+    elements.forEach((el) => {
+        const key = el.dataset.animGroup || el;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(el);
+    });
 
-            gsap.set(text, {
-                y: y,
-                z: z,
-                rotateX: -((angle * 180) / Math.PI),
-            });
+    groups.forEach((members) => {
+        const timeline = gsap.timeline({
+            scrollTrigger: {
+                trigger: members[0],
+                start: ANIMATION_CONFIG.triggerStart,
+                toggleActions: ANIMATION_CONFIG.toggleActions,
+            },
         });
-    }
 
-    initializePointTexts();
+        members.forEach((el) => {
+            const vars = getAnimationVars(el);
+            if (!vars) return;
 
-    // 스크롤에 따른 회전 애니메이션
-    ScrollTrigger.create({
-        trigger: '.point',
-        start: 'top top',
-        end: 'center top',
-        scrub: 1,
-        markers: false,
-        onUpdate: (self) => {
-            const progress = self.progress;
-            const rotationProgress = progress * (totalTexts - 1);
+            const targets = el.dataset.animStagger === undefined ? el : [...el.children];
+            timeline.from(targets, vars, parseFloat(el.dataset.animDelay) || 0);
+        });
+    });
 
-            pointTexts.forEach((text, index) => {
-                const baseAngle = (index / (totalTexts - 1)) * Math.PI;
-                const currentAngle = baseAngle - (rotationProgress * Math.PI) / (totalTexts - 1);
+    console.log(`✨ data-anim 애니메이션: 요소 ${elements.length}개, 타임라인 ${groups.size}개`);
+}
 
-                const y = Math.sin(currentAngle) * radius;
-                const z = Math.cos(currentAngle) * radius;
-                const rotateX = -((currentAngle * 180) / Math.PI);
+// ==================== 11. 센터장 모집 페이지 애니메이션 ====================
+// 금액 표시 (1018856 → '1,018,856원')
+const formatWon = (value, unit = '원') => `${Math.round(value).toLocaleString('ko-KR')}${unit}`;
 
-                const normalizedAngle = ((currentAngle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
-                const isFocus = normalizedAngle < 0.3 || normalizedAngle > Math.PI * 2 - 0.3;
+// 비전 섹션 그래프 렌더링 (data-graph-src의 JSON 기준, 한 번만 실행)
+let revenueGraphPromise = null;
 
-                gsap.set(text, { y: y, z: z, rotateX: rotateX });
+function initRevenueGraph() {
+    if (revenueGraphPromise) return revenueGraphPromise;
 
-                if (isFocus) {
-                    text.classList.add('focus');
-                } else {
-                    text.classList.remove('focus');
-                }
-            });
-        },
-        pinSpacing: false,
+    const graph = document.querySelector('.center_recruit .vision .graph[data-graph-src]');
+    if (!graph) {
+        revenueGraphPromise = Promise.resolve(null);
+        return revenueGraphPromise;
+    }
+
+    revenueGraphPromise = fetchJSON(graph.dataset.graphSrc)
+        .then((data) => {
+            renderBarGraph(graph, data);
+            return data;
+        })
+        .catch((error) => {
+            reportError(error, { type: 'graph', source: graph.dataset.graphSrc });
+            graph.removeAttribute('aria-busy');
+            // 마크업에 정적 막대가 있으면 그대로 보여주고, 없을 때만 안내 문구 표시
+            if (graph.children.length > 0) return null;
+            graph.classList.add('graph-error');
+            graph.textContent = '그래프 데이터를 불러오지 못했습니다.';
+            return null;
+        });
+    return revenueGraphPromise;
+}
+
+// 막대 그래프 렌더링 (센터장 비전 그래프, 지사장 수익 시뮬레이터) - 다시 호출하면 새 값으로 교체
+// 막대 높이는 최댓값 대비 비율(--ratio)로 CSS에서 계산
+function renderBarGraph(graph, data) {
+    const { title = '', unit = '원', items = [] } = data;
+    const maxValue = Math.max(...items.map((item) => item.value));
+
+    const bars = items
+        .map((item, index) => {
+            const ratio = maxValue > 0 ? item.value / maxValue : 0;
+            const prev = items[index - 1];
+            const change = prev ? ((item.value - prev.value) / prev.value) * 100 : null;
+            const changeText =
+                change === null ? '' : ` · 전월 대비 ${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+
+            return `
+                <div class="s_wrap" style="--ratio: ${ratio.toFixed(4)}">
+                    <h5>${formatWon(item.value, unit)}</h5>
+                    <div class="stick"></div>
+                    <span class="graph_tooltip">${item.label} ${formatWon(item.value, unit)}${changeText}</span>
+                </div>`;
+        })
+        .join('');
+
+    const labels = items.map((item) => `<h6>${item.label}</h6>`).join('');
+
+    const rows = items
+        .map((item) => `<tr><th scope="row">${item.label}</th><td>${formatWon(item.value, unit)}</td></tr>`)
+        .join('');
+
+    graph.innerHTML = `
+        <div class="graph_visual" aria-hidden="true">
+            <div class="top">${bars}</div>
+            <div class="bottom">${labels}</div>
+        </div>
+        <table class="sr-only">
+            <caption>${title}</caption>
+            <thead><tr><th scope="col">월</th><th scope="col">금액</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    graph.removeAttribute('aria-busy');
+    initGraphTooltips();
+}
+
+// 터치 기기: 막대를 탭하면 툴팁 표시, 바깥을 탭하면 닫기 (모든 그래프에 위임 - 한 번만 등록)
+let isGraphTooltipReady = false;
+
+function initGraphTooltips() {
+    if (isGraphTooltipReady) return;
+    isGraphTooltipReady = true;
+
+    document.addEventListener('click', (e) => {
+        const wrap = e.target.closest('.graph .s_wrap');
+        document.querySelectorAll('.graph .s_wrap.active').forEach((item) => {
+            if (item !== wrap) item.classList.remove('active');
+        });
+        if (wrap) wrap.classList.toggle('active');
     });
 }
 
-// ==================== 10. FC 모집 페이지 애니메이션 ====================
-function initFCAnimations() {
-    if (typeof gsap === 'undefined') {
-        console.error('GSAP not loaded for FC animations');
-        return;
-    }
+// 예상 수익 계산기 - 그래프와 같은 월별 건당 평균 매출의 최저/평균/최고 값으로 범위 계산
+// 월 매출 = 청구 건수 x 건당 매출, 월 수익 = 월 매출 - 직원 수 x 인건비(estimator.staffCost), 연 수익 = 월 수익 x 12
+function initRevenueEstimator() {
+    const root = document.querySelector('.center_recruit .vision .revenue_estimator');
+    if (!root) return;
 
-    const technicBalancedTl = gsap.timeline({
-        scrollTrigger: {
-            trigger: '.fc_recruit .technic .content',
-            start: ANIMATION_CONFIG.triggerStart,
-            toggleActions: ANIMATION_CONFIG.toggleActions,
-        },
+    initRevenueGraph().then((data) => {
+        if (data && data.estimator) {
+            createRevenueEstimator(root, data);
+        } else {
+            root.remove();
+        }
     });
+}
 
-    technicBalancedTl
-        .from('.fc_recruit .technic .content .left', {
-            opacity: 0,
-            x: -60,
-            duration: 0.9,
-            ease: 'power2.out',
-        })
-        .from(
-            '.fc_recruit .technic .content .mid',
-            {
-                opacity: 0,
-                x: -60,
-                duration: 0.9,
-                ease: 'power2.out',
-            },
-            0.25
-        )
-        .from(
-            '.fc_recruit .technic .content .right',
-            {
-                opacity: 0,
-                x: -60,
-                duration: 0.9,
-                ease: 'power2.out',
-            },
-            0.5
-        )
-        .from(
-            '.fc_recruit .technic .bottom',
-            {
-                opacity: 0,
-                y: 60,
-                duration: 1.0,
-                ease: 'power2.out',
-            },
-            0.75
-        );
+// 건당 매출의 최저/평균/최고
+function getRevenueStats(items) {
+    const values = items.map((item) => item.value);
+    return {
+        min: Math.min(...values),
+        avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+        max: Math.max(...values),
+    };
+}
+
+function calculateCenterIncome(stats, { cases, staff }, staffCost) {
+    const range = (fn) => ({ min: fn(stats.min), avg: fn(stats.avg), max: fn(stats.max) });
+    const revenue = range((perCase) => cases * perCase);
+    const income = range((perCase) => cases * perCase - staff * staffCost);
+    const annual = range((perCase) => (cases * perCase - staff * staffCost) * 12);
+    return { revenue, income, annual };
 }
 
-// ==================== 11. 지사장 모집 페이지 애니메이션 ====================
-function initBranchAnimations() {
-    console.log('Branch animations initialized');
+const ESTIMATOR_ROWS = [
+    { key: 'revenue', title: '월 예상 매출' },
+    { key: 'income', title: '월 예상 수익' },
+    { key: 'annual', title: '연 예상 수익' },
+];
+
+function createRevenueEstimator(root, data) {
+    const { estimator, unit = '원' } = data;
+    const stats = getRevenueStats(data.items);
+
+    const rows = ESTIMATOR_ROWS.map(
+        ({ key, title }) => `
+            <div class="est_row" data-est="${key}">
+                <h5>${title}</h5>
+                <p class="est_avg"></p>
+                <p class="est_range"></p>
+                <div class="est_bar" aria-hidden="true">
+                    <span class="est_fill"></span>
+                    <i class="est_mark"></i>
+                </div>
+            </div>`
+    ).join('');
+
+    root.innerHTML = `
+        <h4 class="est_title">우리 센터 예상 수익</h4>
+        <form class="est_form">
+            ${createRangeField('estCases', estimator.cases, estimator.cases.default)}
+            ${createRangeField('estStaff', estimator.staff, estimator.staff.default)}
+        </form>
+        <div class="est_result">${rows}</div>
+        <p class="sr-only" aria-live="polite" data-est="announce"></p>
+        <ul class="est_notes">${(estimator.notes || []).map((line) => `<li>${line}</li>`).join('')}</ul>
+    `;
+    root.removeAttribute('aria-busy');
+
+    const casesInput = root.querySelector('#estCases');
+    const staffInput = root.querySelector('#estStaff');
+    let result = null;
+
+    const announce = debounce(() => {
+        const { income } = result;
+        root.querySelector('[data-est="announce"]').textContent = `월 예상 수익 평균 ${formatWon(income.avg, unit)}, 최소 ${formatWon(
+            income.min,
+            unit
+        )}에서 최대 ${formatWon(income.max, unit)}`;
+    }, 600);
+
+    // 범위 막대: 행의 최댓값을 100%로 최저~최고 구간과 평균 위치 표시 (음수는 0으로)
+    function renderRow(row, range) {
+        const scale = Math.max(range.max, 0);
+        const toPercent = (value) => (scale > 0 ? (Math.max(value, 0) / scale) * 100 : 0);
+
+        row.querySelector('.est_avg').textContent = `평균 ${formatWon(range.avg, unit)}`;
+        row.querySelector('.est_range').textContent = `${formatWon(range.min, unit)} ~ ${formatWon(range.max, unit)}`;
+        row.style.setProperty('--est-from', `${toPercent(range.min).toFixed(2)}%`);
+        row.style.setProperty('--est-avg', `${toPercent(range.avg).toFixed(2)}%`);
+        row.classList.toggle('negative', range.min < 0);
+    }
+
+    function update() {
+        const values = { cases: Number(casesInput.value), staff: Number(staffInput.value) };
+        result = calculateCenterIncome(stats, values, estimator.staffCost);
+
+        const casesText = `${values.cases}건`;
+        const staffText = `${values.staff}명`;
+        root.querySelector('#estCasesValue').textContent = casesText;
+        root.querySelector('#estStaffValue').textContent = staffText;
+        casesInput.setAttribute('aria-valuetext', casesText);
+        staffInput.setAttribute('aria-valuetext', staffText);
+
+        ESTIMATOR_ROWS.forEach(({ key }) => renderRow(root.querySelector(`[data-est="${key}"]`), result[key]));
+        announce();
+    }
+
+    casesInput.addEventListener('input', update);
+    staffInput.addEventListener('input', update);
+    root.querySelector('.est_form').addEventListener('submit', (e) => e.preventDefault());
+
+    update();
 }
 
-// ==================== 12. 센터장 모집 페이지 애니메이션 ====================
-function initCenterAnimations() {
+function initCenterAnimations(context) {
     if (typeof gsap === 'undefined') {
         console.error('GSAP not loaded for Center animations');
         return;
     }
 
-    // 비전 섹션 그래프 애니메이션
+    // 그래프 렌더링이 끝난 뒤 애니메이션 연결
+    // 계산기는 initRevenueEstimator()가 먼저 등록한 then에서 이미 렌더링된 상태
+    initRevenueGraph().then((data) => {
+        if (!data) return;
+        context.add(initRevenueGraphAnimation);
+        if (document.querySelector('.center_recruit .vision .revenue_estimator .est_row')) {
+            context.add(initRevenueEstimatorAnimation);
+        }
+    });
+}
+
+// 비전 섹션 그래프 애니메이션 (막대 순차 상승)
+function initRevenueGraphAnimation() {
     gsap.from('.center_recruit .vision .graph', {
         scrollTrigger: {
             trigger: '.center_recruit .vision .graph',
@@ -980,39 +2612,741 @@ function initCenterAnimations() {
         delay: 1.5,
         ease: 'power2.out',
     });
+
+    ScrollTrigger.refresh();
+}
+
+// 예상 수익 계산기 애니메이션 (그래프와 같은 트리거 - 패널 등장 후 범위 막대 순차 확장)
+function initRevenueEstimatorAnimation() {
+    const scrollTrigger = {
+        trigger: '.center_recruit .vision .revenue_estimator',
+        start: ANIMATION_CONFIG.triggerStart,
+        toggleActions: ANIMATION_CONFIG.toggleActions,
+    };
+
+    gsap.from('.center_recruit .vision .revenue_estimator', {
+        scrollTrigger,
+        opacity: 0,
+        y: ANIMATION_CONFIG.distance,
+        duration: ANIMATION_CONFIG.duration,
+        ease: ANIMATION_CONFIG.ease,
+    });
+
+    gsap.fromTo(
+        '.center_recruit .vision .revenue_estimator .est_bar',
+        {
+            scaleX: 0,
+            transformOrigin: 'left',
+        },
+        {
+            scrollTrigger,
+            scaleX: 1,
+            duration: 1.2,
+            stagger: ANIMATION_CONFIG.stagger,
+            delay: 0.3,
+            ease: ANIMATION_CONFIG.ease,
+        }
+    );
+
+    ScrollTrigger.refresh();
+}
+
+// ==================== 12. 오류 처리 ====================
+// 처리되지 않은 오류, 스크립트(CDN) 로드 실패, 직접 보고한 오류를 모아 ERROR_REPORT_CONFIG.endpoint로 전송
+//   reportError(error, { type: 'carousel', source: ... })  - catch 블록에서 직접 보고
+// 같은 오류는 한 번만 보내고 반복 횟수(count)만 올림, 페이지당 maxReports 종류까지만 보고
+//   이미 보낸 오류가 다시 발생하면 그 뒤로 늘어난 횟수만 count로 다시 보냄 (수집 측에서 합산)
+// 모아 둔 오류는 batchSize만큼 쌓이거나 flushDelay가 지나면, 또는 페이지를 떠날 때(pagehide) 전송
+const errorReports = new Map(); // 중복 확인용 (signature → report)
+const errorSentCounts = new Map(); // 전송한 횟수 (report → count)
+let errorQueue = [];
+let errorFlushTimer = null;
+
+// 오류 당시 라이브러리 로드 상태
+function getLibraryState() {
+    return {
+        gsap: typeof gsap !== 'undefined' ? gsap.version : null,
+        scrollTrigger: typeof ScrollTrigger !== 'undefined',
+        aos: typeof AOS !== 'undefined',
+    };
 }
 
-// ==================== 13. 추가 이벤트 리스너 ====================
-// 페이지 로드 완료 시 재시도
-window.addEventListener('load', () => {
-    // 비디오 컨트롤 재시도
-    setTimeout(hideVideoControls, 100);
+function normalizeError(error, context = {}) {
+    const isError = error instanceof Error;
+    return {
+        type: context.type || 'error',
+        message: isError ? error.message : String((error && error.message) || error),
+        stack: isError && error.stack ? error.stack.split('\n').slice(0, 10).join('\n') : '',
+        source: context.source || '',
+        line: context.line || 0,
+        column: context.column || 0,
+        extra: context.extra || {},
+        page: getPageName(),
+        url: window.location.href,
+        userAgent: navigator.userAgent,
+        libraries: getLibraryState(),
+        timestamp: new Date().toISOString(),
+        count: 1,
+    };
+}
+
+function reportError(error, context = {}) {
+    try {
+        const report = normalizeError(error, context);
+        const signature = [report.type, report.message, report.source, report.line, report.column].join('|');
+
+        const seen = errorReports.get(signature);
+        if (seen) {
+            seen.count += 1;
+            if (!errorQueue.includes(seen)) queueErrorReport(seen);
+            return;
+        }
+        if (errorReports.size >= ERROR_REPORT_CONFIG.maxReports) return;
+
+        errorReports.set(signature, report);
+        console.error(`🚨 [${report.type}] ${report.message}`, error);
 
-    // 배경 이미지 재시도
-    const pointBox = document.querySelector('.point_box');
-    if (pointBox && !pointBox.classList.contains('bg-loaded')) {
-        aggressivePreloadImages();
+        queueErrorReport(report);
+    } catch (reportingError) {
+        // 보고 과정의 오류가 다시 보고되지 않도록 콘솔에만 출력
+        console.warn('오류 보고 실패:', reportingError);
     }
+}
+
+function queueErrorReport(report) {
+    if (!ERROR_REPORT_CONFIG.endpoint) return;
+    errorQueue.push(report);
+    if (errorQueue.length >= ERROR_REPORT_CONFIG.batchSize) flushErrorReports();
+    else if (!errorFlushTimer) errorFlushTimer = setTimeout(flushErrorReports, ERROR_REPORT_CONFIG.flushDelay);
+}
+
+// 모아 둔 오류 전송 (페이지를 떠나는 중에도 전송되도록 sendBeacon 우선)
+function flushErrorReports() {
+    clearTimeout(errorFlushTimer);
+    errorFlushTimer = null;
+    if (errorQueue.length === 0) return;
+
+    // 마지막 전송 이후 늘어난 횟수만 보냄
+    const errors = errorQueue.map((report) => {
+        const sentCount = errorSentCounts.get(report) || 0;
+        errorSentCounts.set(report, report.count);
+        return { ...report, count: report.count - sentCount };
+    });
+    const body = new Blob([JSON.stringify({ errors })], { type: 'application/json' });
+    errorQueue = [];
+    if (navigator.sendBeacon && navigator.sendBeacon(ERROR_REPORT_CONFIG.endpoint, body)) return;
+    fetch(ERROR_REPORT_CONFIG.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+}
+
+// 스크립트/이미지 등 리소스 로드 실패는 버블링되지 않으므로 캡처 단계에서 확인
+window.addEventListener(
+    'error',
+    (event) => {
+        const target = event.target;
+        if (target && target !== window && target.tagName === 'SCRIPT') {
+            reportError(new Error(`Script loading failed: ${target.src}`), { type: 'resource', source: target.src });
+            return;
+        }
+        if (target && target !== window) return;
+
+        reportError(event.error || event.message, {
+            type: 'uncaught',
+            source: event.filename,
+            line: event.lineno,
+            column: event.colno,
+        });
+    },
+    true
+);
+
+window.addEventListener('unhandledrejection', (event) => {
+    reportError(event.reason, { type: 'unhandledrejection' });
+});
+
+// 히어로 영상 로드 실패
+document.addEventListener('herovideo:statechange', (event) => {
+    if (event.detail.state !== HERO_VIDEO_STATES.FAILED) return;
+    const video = event.target;
+    reportError(new Error(`Hero video failed (${event.detail.reason})`), {
+        type: 'video',
+        source: video.currentSrc,
+        extra: { mediaErrorCode: video.error ? video.error.code : null },
+    });
 });
 
-// 페이지 가시성 변경 시 재시도
+window.addEventListener('pagehide', flushErrorReports);
 document.addEventListener('visibilitychange', () => {
-    if (!document.hidden) {
-        hideVideoControls();
-        const pointBox = document.querySelector('.point_box');
-        if (pointBox && !pointBox.classList.contains('bg-loaded')) {
-            aggressivePreloadImages();
+    if (document.visibilityState === 'hidden') flushErrorReports();
+});
+
+// ==================== 13. 유입 경로(어트리뷰션) 추적 ====================
+const ATTRIBUTION_STORAGE_KEY = 'fm_attribution';
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+// 세션 첫 방문 시 UTM, 리퍼러, 랜딩 페이지 저장 (이후 페이지 이동 시에는 유지)
+function captureAttribution() {
+    if (readStorageJSON(sessionStorage, ATTRIBUTION_STORAGE_KEY)) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const utm = {};
+    UTM_PARAMS.forEach((key) => {
+        const value = params.get(key);
+        if (value) utm[key] = value;
+    });
+
+    writeStorageJSON(sessionStorage, ATTRIBUTION_STORAGE_KEY, {
+        ...utm,
+        referrer: document.referrer || '',
+        landingPage: window.location.href,
+        firstVisitAt: new Date().toISOString(),
+    });
+}
+
+// 저장된 유입 경로 정보 (저장소를 쓸 수 없으면 현재 페이지 기준)
+function getAttribution() {
+    return (
+        readStorageJSON(sessionStorage, ATTRIBUTION_STORAGE_KEY) || {
+            referrer: document.referrer || '',
+            landingPage: window.location.href,
+        }
+    );
+}
+
+captureAttribution();
+
+// ==================== 14. 후기 캐러셀 ====================
+// data-carousel-src의 JSON 목록으로 카드를 렌더링하는 공통 캐러셀 (FC 후기, 지사장 인터뷰)
+//   data-carousel-template  카드 템플릿 이름 (CAROUSEL_TEMPLATES)
+//   data-carousel-autoplay  자동 넘김 간격(ms) - 생략하면 자동 넘김 없음
+// 한 화면에 보이는 카드 수는 CSS 변수 --carousel-per-view로 지정 (반응형은 CSS에서 처리)
+const CAROUSEL_SWIPE_THRESHOLD = 50;
+
+const CAROUSEL_TEMPLATES = {
+    // FC 모집 - 직원 후기 카드
+    story: (item) => `
+        <div class="card">
+            <div class="left">
+                <img src="${item.image}" alt="" loading="lazy" />
+            </div>
+            <div class="right">
+                <h4 class="title">${item.title}</h4>
+                <h5 class="text">${joinLines(item.lines)}</h5>
+            </div>
+        </div>`,
+
+    // 지사장 모집 - 인터뷰 카드
+    interview: (item) => `
+        <div class="box box1">
+            <div class="top">
+                <div class="back_img"></div>
+                <img src="${item.image}" alt="" loading="lazy" />
+            </div>
+            <h3>${item.title}</h3>
+            <p>${joinLines(item.lines)}</p>
+        </div>`,
+};
+
+function initCarousels() {
+    document.querySelectorAll('.carousel[data-carousel-src]').forEach((root) => {
+        const template = CAROUSEL_TEMPLATES[root.dataset.carouselTemplate];
+        if (!template) {
+            console.error('알 수 없는 캐러셀 템플릿:', root.dataset.carouselTemplate);
+            return;
         }
+
+        fetchJSON(root.dataset.carouselSrc)
+            .then((data) => createCarousel(root, data.items || [], template))
+            .catch((error) => {
+                reportError(error, { type: 'carousel', source: root.dataset.carouselSrc });
+                root.removeAttribute('aria-busy');
+                // 마크업에 정적 카드가 있으면 그대로 보여주고, 없을 때만 안내 문구 표시
+                if (root.children.length > 0) return;
+                root.classList.add('carousel-error');
+                root.textContent = '후기를 불러오지 못했습니다.';
+            });
+    });
+}
+
+function createCarousel(root, items, template) {
+    if (items.length === 0) throw new Error('표시할 항목이 없습니다.');
+
+    const slides = items
+        .map(
+            (item, index) => `
+            <div class="carousel_slide" role="group" aria-roledescription="slide" aria-label="${index + 1} / ${items.length}">
+                ${template(item)}
+            </div>`
+        )
+        .join('');
+
+    // 정적 카드(스크립트 실패 시 대비용)를 캐러셀 마크업으로 교체
+    root.setAttribute('role', 'region');
+    root.setAttribute('aria-roledescription', 'carousel');
+    root.classList.add('carousel-ready');
+    root.innerHTML = `
+        <div class="carousel_viewport">
+            <div class="carousel_track" aria-live="polite">${slides}</div>
+        </div>
+        <div class="carousel_controls">
+            <button type="button" class="carousel_arrow carousel_prev" aria-label="이전">&lsaquo;</button>
+            <div class="carousel_dots"></div>
+            <button type="button" class="carousel_arrow carousel_next" aria-label="다음">&rsaquo;</button>
+        </div>
+    `;
+    root.removeAttribute('aria-busy');
+
+    const viewport = root.querySelector('.carousel_viewport');
+    const track = root.querySelector('.carousel_track');
+    const controls = root.querySelector('.carousel_controls');
+    const dotsWrap = root.querySelector('.carousel_dots');
+    const slideEls = [...track.children];
+    const autoplayDelay = Number(root.dataset.carouselAutoplay) || 0;
+
+    let index = 0;
+    let pageCount = 1;
+    let perView = 1;
+    let autoplayTimer = null;
+    let isHovered = false;
+    let isFocused = false;
+
+    // 현재 위치로 이동 + 화면 밖 카드는 보조기기/탭 이동에서 제외
+    function update() {
+        track.style.transform = `translateX(${-slideEls[index].offsetLeft}px)`;
+
+        slideEls.forEach((slide, i) => {
+            const isVisible = i >= index && i < index + perView;
+            slide.classList.toggle('active', isVisible);
+            slide.toggleAttribute('inert', !isVisible);
+            slide.setAttribute('aria-hidden', String(!isVisible));
+        });
+
+        [...dotsWrap.children].forEach((dot, i) => {
+            dot.classList.toggle('active', i === index);
+            if (i === index) dot.setAttribute('aria-current', 'true');
+            else dot.removeAttribute('aria-current');
+        });
     }
-});
 
-// ==================== 14. 오류 처리 ====================
-window.addEventListener('error', (event) => {
-    if (event.target.tagName === 'SCRIPT') {
-        console.error('Script loading failed:', event.target.src);
+    // CSS의 --carousel-per-view 기준으로 이동 가능한 위치 수 계산 (resize 시 재계산)
+    function measure() {
+        const cssPerView = parseInt(getComputedStyle(root).getPropertyValue('--carousel-per-view'), 10);
+        perView = Math.min(Math.max(cssPerView || 1, 1), slideEls.length);
+        pageCount = Math.max(slideEls.length - perView + 1, 1);
+        index = Math.min(index, pageCount - 1);
+
+        if (dotsWrap.children.length !== pageCount) {
+            dotsWrap.innerHTML = Array.from(
+                { length: pageCount },
+                (_, i) => `<button type="button" class="carousel_dot" aria-label="${i + 1}번째로 이동"></button>`
+            ).join('');
+        }
+        controls.hidden = pageCount <= 1;
+        update();
     }
-});
 
-window.addEventListener('unhandledrejection', (event) => {
-    console.error('Unhandled promise rejection:', event.reason);
-});
+    function goTo(nextIndex) {
+        index = (nextIndex + pageCount) % pageCount;
+        update();
+    }
+
+    function stopAutoplay() {
+        clearInterval(autoplayTimer);
+        autoplayTimer = null;
+        track.setAttribute('aria-live', 'polite');
+    }
+
+    // 마우스가 올라가 있거나 포커스가 안에 있으면 자동 넘김 멈춤
+    function startAutoplay() {
+        stopAutoplay();
+        if (!autoplayDelay || prefersReducedMotion() || document.hidden) return;
+        if (isHovered || isFocused || pageCount <= 1) return;
+
+        // 자동 넘김 중에는 슬라이드 변경을 읽지 않음
+        track.setAttribute('aria-live', 'off');
+        autoplayTimer = setInterval(() => goTo(index + 1), autoplayDelay);
+    }
+
+    // 사용자가 직접 넘긴 경우 자동 넘김 간격을 처음부터 다시 계산
+    function moveBy(step) {
+        goTo(index + step);
+        startAutoplay();
+    }
+
+    root.querySelector('.carousel_prev').addEventListener('click', () => moveBy(-1));
+    root.querySelector('.carousel_next').addEventListener('click', () => moveBy(1));
+
+    dotsWrap.addEventListener('click', (e) => {
+        const dot = e.target.closest('.carousel_dot');
+        if (!dot) return;
+        goTo([...dotsWrap.children].indexOf(dot));
+        startAutoplay();
+    });
+
+    // 방향키 이동 (캐러셀 안의 버튼에 포커스가 있을 때)
+    root.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            e.preventDefault();
+            moveBy(e.key === 'ArrowLeft' ? -1 : 1);
+        }
+    });
+
+    // 터치 스와이프 (세로 스크롤은 브라우저에 맡김 - touch-action: pan-y)
+    let swipeStart = null;
+    viewport.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'mouse') return;
+        swipeStart = { x: e.clientX, y: e.clientY };
+    });
+    viewport.addEventListener('pointerup', (e) => {
+        if (!swipeStart) return;
+        const dx = e.clientX - swipeStart.x;
+        const dy = e.clientY - swipeStart.y;
+        swipeStart = null;
+        if (Math.abs(dx) > CAROUSEL_SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+            moveBy(dx < 0 ? 1 : -1);
+        }
+    });
+    viewport.addEventListener('pointercancel', () => {
+        swipeStart = null;
+    });
+
+    root.addEventListener('mouseenter', () => {
+        isHovered = true;
+        stopAutoplay();
+    });
+    root.addEventListener('mouseleave', () => {
+        isHovered = false;
+        startAutoplay();
+    });
+    root.addEventListener('focusin', () => {
+        isFocused = true;
+        stopAutoplay();
+    });
+    root.addEventListener('focusout', (e) => {
+        if (root.contains(e.relatedTarget)) return;
+        isFocused = false;
+        startAutoplay();
+    });
+    document.addEventListener('visibilitychange', startAutoplay);
+    onReducedMotionChange(startAutoplay);
+    window.addEventListener('resize', debounce(measure, 150));
+
+    measure();
+    startAutoplay();
+
+    // 카드 렌더링으로 페이지 높이가 바뀌므로 스크롤 위치 재계산
+    if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.refresh();
+    if (typeof AOS !== 'undefined') AOS.refresh();
+
+    console.log(`🎠 캐러셀 초기화: ${root.getAttribute('aria-label') || ''} (${items.length}개)`);
+}
+
+// ==================== 15. 이벤트 분석 (애널리틱스) ====================
+// 이름 붙인 이벤트를 페이지/섹션 정보와 함께 전송 채널(transport)로 보냄
+//   trackEvent('consult_submit', { consultType: 'FC입사 상담' }, 요소)
+//   onAnalyticsEvent((event) => { ... })  - 이벤트 구독 (해제 함수 반환)
+//   registerAnalyticsTransport('이름', (event) => { ... })  - 전송 채널 추가
+// 사용할 채널은 ANALYTICS_CONFIG.transports (FM_CONFIG.analytics로 페이지별 지정)
+// 이름, 전화번호 등 개인정보는 이벤트에 담지 않습니다.
+const ANALYTICS_SESSION_KEY = 'fm_analytics_session';
+
+const analyticsTransports = {
+    console: (event) => console.log(`📊 ${event.name}`, event),
+
+    // 페이지를 떠나는 중에도 전송되도록 sendBeacon 우선, 미지원 시 keepalive fetch
+    beacon: (event) => {
+        const body = new Blob([JSON.stringify(event)], { type: 'application/json' });
+        if (navigator.sendBeacon && navigator.sendBeacon(ANALYTICS_CONFIG.endpoint, body)) return;
+        fetch(ANALYTICS_CONFIG.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+    },
+
+    // 태그 관리자(GTM 등)용 dataLayer
+    dataLayer: (event) => {
+        const dataLayer = (window[ANALYTICS_CONFIG.dataLayerName] = window[ANALYTICS_CONFIG.dataLayerName] || []);
+        dataLayer.push({ event: event.name, page: event.page, section: event.section, ...event.props });
+    },
+};
+
+const analyticsListeners = new Set();
+
+function registerAnalyticsTransport(name, send) {
+    analyticsTransports[name] = send;
+}
+
+function onAnalyticsEvent(listener) {
+    analyticsListeners.add(listener);
+    return () => analyticsListeners.delete(listener);
+}
+
+// 세션 식별자 (탭을 닫으면 초기화)
+function getAnalyticsSessionId() {
+    let sessionId = readStorageJSON(sessionStorage, ANALYTICS_SESSION_KEY);
+    if (!sessionId) {
+        sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        writeStorageJSON(sessionStorage, ANALYTICS_SESSION_KEY, sessionId);
+    }
+    return sessionId;
+}
+
+// 페이지 이름 (파일명 기준: index, fc_recruit ...)
+function getPageName() {
+    const file = window.location.pathname.split('/').pop() || 'index.html';
+    return file.replace(/\.html$/, '');
+}
+
+// 요소가 속한 섹션 이름 (data-section > id > 첫 번째 클래스)
+function getSectionName(el) {
+    const section = el && el.closest('[data-section], section, header, footer, .floating, .modal');
+    if (!section) return '';
+    return section.dataset.section || section.id || section.classList[0] || section.tagName.toLowerCase();
+}
+
+function trackEvent(name, props = {}, el = null) {
+    const event = {
+        name,
+        page: getPageName(),
+        section: getSectionName(el),
+        props,
+        sessionId: getAnalyticsSessionId(),
+        timestamp: new Date().toISOString(),
+    };
+
+    // 전송 채널 오류가 페이지 동작을 막지 않도록 각각 분리
+    ANALYTICS_CONFIG.transports.forEach((transportName) => {
+        const send = analyticsTransports[transportName];
+        if (!send) return;
+        try {
+            send(event);
+        } catch (error) {
+            console.warn(`애널리틱스 전송 실패 (${transportName}):`, error);
+        }
+    });
+
+    // 구독 함수 하나의 오류가 다른 구독이나 호출한 쪽(상담 제출 등)을 막지 않도록 각각 분리
+    analyticsListeners.forEach((listener) => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.warn(`애널리틱스 구독 함수 오류 (${name}):`, error);
+        }
+    });
+}
+
+// 자동 수집하는 클릭 (이벤트 위임)
+const ANALYTICS_CLICK_TARGETS = [
+    { selector: 'a[href^="tel:"]', name: 'phone_click', props: (el) => ({ number: el.getAttribute('href').slice(4) }) },
+    { selector: '.consult', name: 'consult_click' },
+    { selector: '.kakao', name: 'kakao_click' },
+];
+
+function initClickTracking() {
+    document.addEventListener('click', (e) => {
+        ANALYTICS_CLICK_TARGETS.forEach(({ selector, name, props }) => {
+            const el = e.target.closest(selector);
+            if (el) trackEvent(name, props ? props(el) : {}, el);
+        });
+    });
+}
+
+// 섹션 노출: 섹션의 절반 이상 또는 화면의 절반 이상을 채우면 한 번 기록
+function initSectionViewTracking() {
+    const sections = document.querySelectorAll('main section, [data-section]');
+    if (sections.length === 0) return;
+
+    const observer = new IntersectionObserver(
+        (entries) => {
+            entries.forEach((entry) => {
+                const coversViewport = entry.intersectionRect.height >= window.innerHeight * 0.5;
+                if (entry.intersectionRatio < ANALYTICS_CONFIG.sectionViewThreshold && !coversViewport) return;
+
+                observer.unobserve(entry.target);
+                trackEvent('section_view', {}, entry.target);
+            });
+        },
+        { threshold: [0, 0.25, 0.5, 0.75, 1] }
+    );
+    sections.forEach((section) => observer.observe(section));
+}
+
+// 스크롤 깊이: 지정한 비율(%)에 처음 도달할 때 한 번씩 기록
+function initScrollDepthTracking() {
+    const milestones = ANALYTICS_CONFIG.scrollMilestones;
+    const reached = new Set();
+
+    const onScroll = throttle(() => {
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const percent = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+
+        milestones.forEach((milestone) => {
+            if (percent >= milestone && !reached.has(milestone)) {
+                reached.add(milestone);
+                trackEvent('scroll_depth', { percent: milestone });
+            }
+        });
+
+        if (reached.size === milestones.length) window.removeEventListener('scroll', onScroll);
+    }, 250);
+
+    window.addEventListener('scroll', onScroll, { passive: true });
+}
+
+function initAnalytics() {
+    initClickTracking();
+    initSectionViewTracking();
+    initScrollDepthTracking();
+    trackEvent('page_view', { referrer: document.referrer || '' });
+}
+
+// ==================== 16. 지사장 수익 시뮬레이터 ====================
+// FC 1인당 월 신규 보험료와 팀원 수로 예상 모집 수수료·시책과 12개월 예상 수입을 계산 (지사장 모집 페이지)
+// 비율은 data-simulator-src의 JSON에서 관리 (모두 팀 월 신규 보험료 대비 배수)
+//   commission.baseCommission  보험사 기준 모집 수수료율 (3.0 = 300%) - 영업지원팀이 입력, null이면 '상담 시 안내'
+//   commission.payout          수수료 지급률 (0.98 = 98%)
+//   incentives                 [{ key, label, maxRate }] - 페이지에 안내된 최대 시책, 항목별로 따로 표시
+//   incentivesStack            true일 때만 시책을 월 예상 수입 합계에 더함 (함께 지급되는 것이 확인된 경우)
+//   excluded                   기준이 없어 금액에 넣지 않은 항목 안내
+const SIMULATOR_CONSULT_TYPE = '지사장 지원';
+
+// 모집 수수료를 계산할 수 없을 때 표시
+const SIMULATOR_PENDING_TEXT = '상담 시 안내';
+
+// 만원 단위 표시 (10000000 → '1,000만원')
+const formatManwon = (value) => `${Math.round(value / 10000).toLocaleString('ko-KR')}만원`;
+
+function initIncomeSimulator() {
+    const root = document.querySelector('.income_simulator[data-simulator-src]');
+    if (!root) return;
+
+    fetchJSON(root.dataset.simulatorSrc)
+        .then((config) => createIncomeSimulator(root, config))
+        .catch((error) => {
+            reportError(error, { type: 'simulator', source: root.dataset.simulatorSrc });
+            root.classList.add('simulator-error');
+            root.removeAttribute('aria-busy');
+            root.textContent = '시뮬레이터를 불러오지 못했습니다.';
+        });
+}
+
+// 매월 같은 신규 보험료를 가정 - 기준 수수료율이 없으면 commission, monthlyTotal, projection은 null
+function calculateBranchIncome(config, { premiumPerFc, teamSize }) {
+    const { commission: rates, incentives, incentivesStack, months } = config;
+    const premium = premiumPerFc * teamSize;
+
+    const commission = typeof rates.baseCommission === 'number' ? premium * rates.baseCommission * rates.payout : null;
+    const items = incentives.map((incentive) => ({ ...incentive, amount: premium * incentive.maxRate }));
+    const stacked = incentivesStack ? items.reduce((sum, item) => sum + item.amount, 0) : 0;
+
+    const monthlyTotal = commission === null ? null : commission + stacked;
+    const projection =
+        monthlyTotal === null
+            ? null
+            : Array.from({ length: months }, (_, index) => ({ month: index + 1, cumulative: monthlyTotal * (index + 1) }));
+
+    return { premium, commission, items, monthlyTotal, projection, yearTotal: projection && monthlyTotal * months };
+}
+
+function createIncomeSimulator(root, config) {
+    const { inputs, commission: rates, incentivesStack, months } = config;
+    const percent = (rate) => `${Math.round(rate * 100)}%`;
+    const totalLabel = incentivesStack ? '모집 수수료 + 시책 최대 기준' : '모집 수수료 기준';
+
+    root.innerHTML = `
+        <form class="sim_form">
+            ${createRangeField('simPremium', inputs.premiumPerFc, inputs.premiumPerFc.default)}
+            ${createRangeField('simTeamSize', inputs.teamSize, inputs.teamSize.default)}
+        </form>
+        <dl class="sim_result">
+            <div><dt>팀 월 신규 보험료</dt><dd data-sim="premium"></dd></div>
+            <div><dt>모집 수수료 (지급률 ${percent(rates.payout)})</dt><dd data-sim="commission"></dd></div>
+            ${config.incentives
+                .map(
+                    (incentive) =>
+                        `<div><dt>${incentive.label} (최대 ${percent(incentive.maxRate)})</dt><dd data-sim="${incentive.key}"></dd></div>`
+                )
+                .join('')}
+            <div class="total"><dt>월 예상 수입 (${totalLabel})</dt><dd data-sim="monthlyTotal"></dd></div>
+            <div class="total"><dt>${months}개월 누적 예상 수입</dt><dd data-sim="yearTotal"></dd></div>
+        </dl>
+        <div class="graph graph_compact"></div>
+        <p class="sr-only" aria-live="polite" data-sim="announce"></p>
+        <ul class="sim_disclaimer">${[...config.excluded, ...config.disclaimer]
+            .map((line) => `<li>${line}</li>`)
+            .join('')}</ul>
+        <button type="button" class="sim_consult">이 결과로 상담신청</button>
+    `;
+    root.removeAttribute('aria-busy');
+
+    const premiumInput = root.querySelector('#simPremium');
+    const teamSizeInput = root.querySelector('#simTeamSize');
+    const graph = root.querySelector('.graph');
+    const field = (name) => root.querySelector(`[data-sim="${name}"]`);
+    const formatAmount = (value) => (value === null ? SIMULATOR_PENDING_TEXT : formatWon(value));
+
+    let values = null;
+    let result = null;
+
+    // 시책은 더하지 않은 항목별 최대 금액 (합계는 incentivesStack일 때만)
+    const describeIncentives = () =>
+        result.items.map((item) => `${item.label} 최대 ${formatWon(item.amount)}`).join(', ');
+
+    // 슬라이더를 움직이는 동안 매번 읽지 않도록 화면 낭독기 안내는 멈춘 뒤에 한 번만
+    const announce = debounce(() => {
+        field('announce').textContent = `모집 수수료 ${formatAmount(result.commission)}, ${describeIncentives()}`;
+    }, 600);
+
+    function update() {
+        values = { premiumPerFc: Number(premiumInput.value), teamSize: Number(teamSizeInput.value) };
+        result = calculateBranchIncome(config, values);
+
+        const premiumText = formatManwon(values.premiumPerFc);
+        const teamSizeText = `${values.teamSize}명`;
+        root.querySelector('#simPremiumValue').textContent = premiumText;
+        root.querySelector('#simTeamSizeValue').textContent = teamSizeText;
+        premiumInput.setAttribute('aria-valuetext', premiumText);
+        teamSizeInput.setAttribute('aria-valuetext', teamSizeText);
+
+        field('premium').textContent = formatWon(result.premium);
+        field('commission').textContent = formatAmount(result.commission);
+        result.items.forEach((item) => {
+            field(item.key).textContent = formatWon(item.amount);
+        });
+        field('monthlyTotal').textContent = formatAmount(result.monthlyTotal);
+        field('yearTotal').textContent = formatAmount(result.yearTotal);
+
+        // 기준 수수료율이 없으면 누적 그래프를 그리지 않음
+        graph.hidden = !result.projection;
+        if (result.projection) {
+            renderBarGraph(graph, {
+                title: `${months}개월 누적 예상 수입 (${totalLabel})`,
+                items: result.projection.map((month) => ({ label: `${month.month}개월`, value: month.cumulative })),
+            });
+        }
+        announce();
+    }
+
+    premiumInput.addEventListener('input', update);
+    teamSizeInput.addEventListener('input', update);
+    root.querySelector('.sim_form').addEventListener('submit', (e) => e.preventDefault());
+
+    // 상담신청 모달로 결과 전달 (금액·인원만 - 개인정보 없음)
+    root.querySelector('.sim_consult').addEventListener('click', (e) => {
+        const summary = [
+            `FC 1인당 월 신규 보험료 ${formatManwon(values.premiumPerFc)}`,
+            `팀원 ${values.teamSize}명`,
+            `모집 수수료 ${formatAmount(result.commission)}`,
+            describeIncentives(),
+        ].join(' · ');
+
+        trackEvent('simulator_consult', values, e.currentTarget);
+        openConsultationModal(SIMULATOR_CONSULT_TYPE, {
+            title: '수익 시뮬레이션',
+            summary,
+            data: {
+                ...values,
+                commission: result.commission === null ? null : Math.round(result.commission),
+                incentives: Object.fromEntries(result.items.map((item) => [item.key, Math.round(item.amount)])),
+            },
+        });
+    });
+
+    update();
+}
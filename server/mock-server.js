@@ -0,0 +1,279 @@
+// ==================== 로컬 테스트용 대체 서버 ====================
+// 운영 API 없이 상담신청 흐름을 확인하기 위한 간단한 서버입니다.
+// 정적 파일(html, css, js, images)과 상담신청 API, 이벤트/오류 수집 API를 같은 주소에서 제공합니다.
+//
+// API
+//   POST /api/consult   상담신청 접수 (같은 submissionId로 다시 보내면 기존 접수 번호로 200 응답)
+//   POST /api/collect   애널리틱스 이벤트 수집 (sendBeacon)
+//   GET  /api/collect   수집된 이벤트 확인 (최근 순, ?name=이벤트명 으로 필터)
+//   POST /api/errors    클라이언트 오류 보고 수집 ({ errors: [...] })
+//   GET  /api/errors    수집된 오류 확인 (최근 순, ?type=오류종류 로 필터)
+//
+// 실행: node server/mock-server.js  →  http://localhost:8080
+//
+// 환경 변수
+//   PORT        서버 포트 (기본 8080)
+//   MOCK_DELAY  API 응답 지연 시간(ms) - 로딩 상태 확인용 (기본 600)
+//   MOCK_FAIL   1이면 상담신청 API가 항상 500 응답 - 실패 상태 확인용
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8080;
+const MOCK_DELAY = Number(process.env.MOCK_DELAY) || 600;
+const MOCK_FAIL = process.env.MOCK_FAIL === '1';
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.ttf': 'font/ttf',
+    '.mp4': 'video/mp4',
+};
+
+// 접수된 상담신청 (서버 재시작 시 초기화)
+const leads = [];
+
+// 신청 식별자(submissionId)별 접수 건 - 시간 초과 후 재전송된 같은 신청은 다시 저장하지 않음
+const leadsBySubmission = new Map();
+
+// 수집된 애널리틱스 이벤트 (최근 500개만 보관)
+const events = [];
+const MAX_EVENTS = 500;
+
+// 보고된 클라이언트 오류 (최근 200개만 보관)
+const errorReports = [];
+const MAX_ERROR_REPORTS = 200;
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        let tooLarge = false;
+        req.on('data', (chunk) => {
+            if (tooLarge) return;
+            data += chunk;
+            // 비정상적으로 큰 요청 차단 (나머지 본문은 버리고 413 응답)
+            if (data.length > 1e5) {
+                tooLarge = true;
+                data = '';
+                const error = new Error('Payload too large');
+                error.statusCode = 413;
+                reject(error);
+            }
+        });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+// 요청 본문을 읽지 못했을 때 응답 (너무 큰 요청은 413, 그 외는 형식 오류)
+function sendBodyError(res, error) {
+    if (error.statusCode === 413) {
+        sendJSON(res, 413, { ok: false, message: '요청 크기가 너무 큽니다.' });
+        return;
+    }
+    sendJSON(res, 400, { ok: false, message: '잘못된 요청 형식입니다.' });
+}
+
+// 상담신청 API
+async function handleConsult(req, res) {
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendBodyError(res, error);
+        return;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, MOCK_DELAY));
+
+    if (MOCK_FAIL) {
+        sendJSON(res, 500, { ok: false, message: '테스트용 서버 오류입니다.' });
+        return;
+    }
+
+    const { consultType, name, phone, agreements } = payload;
+    if (!consultType || !name || !phone || !agreements?.privacy?.agreed || !agreements?.sensitive?.agreed) {
+        sendJSON(res, 400, { ok: false, message: '필수 항목이 누락되었습니다.' });
+        return;
+    }
+
+    const { submissionId } = payload;
+    if (typeof submissionId === 'string' && leadsBySubmission.has(submissionId)) {
+        const lead = leadsBySubmission.get(submissionId);
+        console.log(`🔁 중복 상담신청 무시 (submissionId: ${submissionId}, id: ${lead.id})`);
+        sendJSON(res, 200, { ok: true, id: lead.id, duplicate: true });
+        return;
+    }
+
+    const lead = { id: leads.length + 1, receivedAt: new Date().toISOString(), ...payload };
+    leads.push(lead);
+    if (typeof submissionId === 'string') leadsBySubmission.set(submissionId, lead);
+    console.log('📩 상담신청 접수:', JSON.stringify(lead, null, 2));
+
+    sendJSON(res, 201, { ok: true, id: lead.id });
+}
+
+// 애널리틱스 이벤트 수집 API (sendBeacon은 응답을 읽지 않으므로 204)
+async function handleCollect(req, res) {
+    let event;
+    try {
+        event = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendBodyError(res, error);
+        return;
+    }
+
+    if (!event || typeof event.name !== 'string') {
+        sendJSON(res, 400, { ok: false, message: '이벤트 이름이 없습니다.' });
+        return;
+    }
+
+    events.push({ receivedAt: new Date().toISOString(), ...event });
+    if (events.length > MAX_EVENTS) events.shift();
+    console.log(`📊 ${event.name} [${event.page} / ${event.section || '-'}]`, JSON.stringify(event.props || {}));
+
+    res.writeHead(204);
+    res.end();
+}
+
+// 수집된 이벤트 조회
+function listEvents(req, res) {
+    const name = new URL(req.url, 'http://localhost').searchParams.get('name');
+    const result = events.filter((event) => !name || event.name === name).reverse();
+    sendJSON(res, 200, { ok: true, count: result.length, events: result });
+}
+
+// 클라이언트 오류 보고 수집 API
+async function handleErrors(req, res) {
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendBodyError(res, error);
+        return;
+    }
+
+    if (!payload || !Array.isArray(payload.errors)) {
+        sendJSON(res, 400, { ok: false, message: '오류 목록이 없습니다.' });
+        return;
+    }
+
+    payload.errors.forEach((report) => {
+        errorReports.push({ receivedAt: new Date().toISOString(), ...report });
+        console.log(`🚨 [${report.type}] ${report.message} (${report.page}, ${report.count || 1}회)`);
+    });
+    errorReports.splice(0, Math.max(0, errorReports.length - MAX_ERROR_REPORTS));
+
+    res.writeHead(204);
+    res.end();
+}
+
+// 보고된 오류 조회
+function listErrors(req, res) {
+    const type = new URL(req.url, 'http://localhost').searchParams.get('type');
+    const result = errorReports.filter((report) => !type || report.type === type).reverse();
+    sendJSON(res, 200, { ok: true, count: result.length, errors: result });
+}
+
+// 정적 파일 제공
+function serveStatic(req, res, pathname) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad Request');
+        return;
+    }
+    const filePath = path.join(ROOT_DIR, urlPath === '/' ? 'index.html' : urlPath);
+
+    // 루트 폴더 밖 접근, 숨김 파일/폴더(.git, .env 등) 접근 차단
+    const segments = path.relative(ROOT_DIR, filePath).split(path.sep);
+    if (!filePath.startsWith(ROOT_DIR + path.sep) || segments.some((segment) => segment.startsWith('.'))) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not Found');
+            return;
+        }
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    // '//' 처럼 해석할 수 없는 주소는 400 (서버가 죽지 않도록)
+    let pathname;
+    try {
+        pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch (error) {
+        sendJSON(res, 400, { ok: false, message: '잘못된 요청 주소입니다.' });
+        return;
+    }
+
+    if (req.method === 'POST' && pathname === '/api/collect') {
+        handleCollect(req, res).catch((error) => {
+            console.error('이벤트 수집 오류:', error);
+            sendJSON(res, 500, { ok: false, message: '서버 오류입니다.' });
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && pathname === '/api/collect') {
+        listEvents(req, res);
+        return;
+    }
+
+    if (req.method === 'POST' && pathname === '/api/errors') {
+        handleErrors(req, res).catch((error) => {
+            console.error('오류 보고 처리 오류:', error);
+            sendJSON(res, 500, { ok: false, message: '서버 오류입니다.' });
+        });
+        return;
+    }
+
+    if (req.method === 'GET' && pathname === '/api/errors') {
+        listErrors(req, res);
+        return;
+    }
+
+    if (req.method === 'POST' && pathname === '/api/consult') {
+        handleConsult(req, res).catch((error) => {
+            console.error('상담신청 처리 오류:', error);
+            sendJSON(res, 500, { ok: false, message: '서버 오류입니다.' });
+        });
+        return;
+    }
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        serveStatic(req, res, pathname);
+        return;
+    }
+
+    sendJSON(res, 405, { ok: false, message: '허용되지 않은 요청입니다.' });
+});
+
+server.listen(PORT, () => {
+    console.log(`🚀 로컬 서버 실행 중: http://localhost:${PORT}`);
+    if (MOCK_FAIL) console.log('⚠️  MOCK_FAIL=1 - 상담신청 API가 항상 실패합니다.');
+});